@@ -1,156 +1,506 @@
-import { GoogleGenAI } from "@google/genai";
-
-const RETRY_DELAY = 1000; // 1 second
+import {
+  base64ByteLength,
+  buildContents,
+  estimateTextTokens,
+  withInlineInstruction,
+} from "@/lib/chatHistory";
+import { ChatRequestError, readJsonBody, validateChatRequest } from "@/lib/chatRequest";
+import { appendParts, hasRichParts, textPart } from "@/lib/messageParts";
+import { fitGenerationConfig, getContextBudget, getModels, resolveModelChain } from "@/lib/models";
+import {
+  recordFailure,
+  recordSuccess,
+  releaseTrial,
+  secondsUntilAvailable,
+  tryAcquire,
+} from "@/lib/modelHealth";
+import { emptyResponseError, errorCodeOf, getProvider, ProviderError } from "@/lib/providers";
+import {
+  checkUploadBytesLimit,
+  checkRequestLimit,
+  getRateLimitConfig,
+  identifyClient,
+  rateLimitResponse,
+} from "@/lib/rateLimit";
+import { encodeEvent } from "@/lib/sse";
+import { getToolDeclarations, isClientTool, runTool, toolStepsToContents } from "@/lib/tools";
+import { addUsage } from "@/lib/usage";
+import { MAX_CALLS_PER_ROUND, MAX_TOOL_ROUNDS } from "@/config/tools";
+
+// Upstream timeouts: a whole non-streaming call, the wait for a stream's
+// first token, and the longest gap between streamed chunks
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+const FIRST_TOKEN_TIMEOUT_MS = 30 * 1000;
+const STREAM_IDLE_TIMEOUT_MS = 30 * 1000;
+
+// Abort signal for one upstream call. It follows the client's signal and also
+// fires after `ms` without progress; `touch()` restarts the clock.
+const createCallDeadline = (parentSignal, ms) => {
+  const controller = new AbortController();
+  let timer;
+
+  const touch = (nextMs = ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(
+      () => controller.abort(new DOMException("Upstream call timed out", "TimeoutError")),
+      nextMs
+    );
+  };
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+
+  parentSignal.addEventListener("abort", onParentAbort, { once: true });
+  touch();
+
+  return {
+    signal: controller.signal,
+    touch,
+    timedOut: () => controller.signal.aborted && !parentSignal.aborted,
+    clear: () => {
+      clearTimeout(timer);
+      parentSignal.removeEventListener("abort", onParentAbort);
+    },
+  };
+};
+
+// What the browser is told when every model failed, by error code
+const ERROR_RESPONSES = {
+  RATE_LIMITED: { status: 429, error: "Rate limit exceeded. Please wait a moment and try again." },
+  QUOTA_EXCEEDED: { status: 429, error: "The model's usage quota is used up. Please try again later." },
+  AUTH: { status: 401, error: "API authentication failed. Please check your API key configuration." },
+  MODEL_NOT_FOUND: { status: 502, error: "The model isn't available from the provider." },
+  BAD_REQUEST: { status: 400, error: "The model rejected the request." },
+  CONTEXT_TOO_LONG: { status: 413, error: "This conversation is too long for the model." },
+  SAFETY_BLOCKED: { status: 422, error: "The response was blocked by safety filters." },
+  RECITATION: { status: 422, error: "The response was blocked for reciting copyrighted material." },
+  EMPTY_RESPONSE: { status: 502, error: "The model returned an empty response." },
+  TIMEOUT: { status: 504, error: "The model took too long to respond." },
+  UPSTREAM_UNAVAILABLE: { status: 503, error: "The model provider is unavailable." },
+  UPSTREAM_ERROR: { status: 502, error: "Failed to generate response from API." },
+};
+
+const errorResponse = (error) => {
+  const code = errorCodeOf(error);
+  const { status, error: message } = ERROR_RESPONSES[code] || ERROR_RESPONSES.UPSTREAM_ERROR;
+  // Only short waits are worth a countdown; an exhausted daily quota isn't
+  const retryAfter = code === "RATE_LIMITED" && error?.retryAfter;
+  return Response.json(
+    { error: message, code, details: error?.message || "Unknown error" },
+    {
+      status,
+      ...(retryAfter && { headers: { "Retry-After": String(Math.ceil(retryAfter)) } }),
+    }
+  );
+};
 
-// Helper to delay execution
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const timeoutError = (model, providerName) =>
+  new ProviderError(`Model ${model} timed out`, {
+    status: 504,
+    provider: providerName,
+    timeout: true,
+  });
 
 // System instruction for formatting
-const FORMATTING_INSTRUCTION = `You can use the following Markdown formatting in your responses:
-- Bold text: **text** or __text__
-- Italic text: *text* or _text_
+const FORMATTING_INSTRUCTION = `Your responses are rendered as GitHub-flavored Markdown. You can use:
+- Bold text: **text** and italic text: *text*
 - Inline code: \`code\`
-- Links: [text](url)
-- Line breaks: Use regular line breaks
-
-Please use these formatting options naturally in your responses to emphasize important points and improve readability.`;
-
-export async function POST(request) {
-  try {
-    // Validate API key
-    if (!process.env.GEMINI_API_KEY) {
-      console.error("GEMINI_API_KEY is not configured");
-      return Response.json(
-        {
-          error:
-            "API key not configured. Please add GEMINI_API_KEY to your environment variables.",
-        },
-        { status: 500 }
-      );
+- Fenced code blocks with a language tag, e.g. \`\`\`python
+- Headings (#, ##, ###), bulleted and numbered lists, and task lists (- [ ] item)
+- Blockquotes: > quote
+- Tables using pipe syntax
+- Links: [text](https://example.com) (only http, https and mailto links are shown)
+- ~~Strikethrough~~
+
+Raw HTML is not rendered, so don't use it. Please use these formatting options naturally in your responses to emphasize important points and improve readability.`;
+
+// Start a streaming generation and wait for the first chunk that carries
+// content or tool calls, so that failures before the first token can still fall back
+// to another model.
+const openStream = async (provider, params) => {
+  const responseStream = await provider.stream(params);
+  const iterator = responseStream[Symbol.asyncIterator]();
+  let finishReason;
+
+  while (true) {
+    const { value, done } = await iterator.next();
+    if (done) {
+      throw emptyResponseError(finishReason, provider.name);
     }
-
-    // Parse request body
-    let body;
-    try {
-      body = await request.json();
-    } catch (parseError) {
-      console.error("Failed to parse request body:", parseError);
-      return Response.json(
-        { error: "Invalid request format. Expected JSON." },
-        { status: 400 }
-      );
+    if (value?.text || value?.parts || value?.functionCalls) {
+      return { iterator, firstChunk: value };
     }
+    if (value?.finishReason) finishReason = value.finishReason;
+  }
+};
+
+/**
+ * The function-calling loop for one reply. `run(calls)` runs a round of calls
+ * and returns their steps; client-run tools come back as pending steps without
+ * a result. `next(steps)` adds a round to the conversation and returns the
+ * params for the model's next call, which can't call tools any more once the
+ * round limit is reached. Rounds continue from `toolSteps` the client sent.
+ */
+const createToolLoop = (params, toolSteps, context) => {
+  let round = Math.max(0, ...toolSteps.map((step) => step.round));
+  let contents = [...params.contents, ...toolStepsToContents(toolSteps)];
+  const withContents = () => ({
+    ...params,
+    contents,
+    ...(round >= MAX_TOOL_ROUNDS && { toolChoice: "none" }),
+  });
+
+  return {
+    params: withContents(),
+    run: (calls) => {
+      round += 1;
+      return Promise.all(
+        calls.map((call, index) => {
+          const step = { ...call, id: call.id || `call-${round}-${index + 1}` };
+          if (index >= MAX_CALLS_PER_ROUND) {
+            return { ...step, round, args: step.args || {}, error: "Too many tool calls in one round" };
+          }
+          return isClientTool(call.name)
+            ? { ...step, round, pending: true }
+            : runTool(step, round, context);
+        })
+      );
+    },
+    next: (steps) => {
+      contents = [...contents, ...toolStepsToContents(steps)];
+      return withContents();
+    },
+  };
+};
+
+// Relay the rest of a model stream to the browser as Server-Sent Events. Text
+// goes out as "chunk" events and images or code as "part" events, in order.
+// Tool calls are run between rounds and sent as "tool" events; the finish reason
+// (e.g. "MAX_TOKENS", or "TOOL_CALLS" when the browser has a tool to run) and
+// the token usage of every round go out with the "done" event.
+const streamResponse = ({ model, fallback, iterator, firstChunk, deadline, onError, provider, tools }) => {
+  let current = { iterator, firstChunk };
+
+  const body = new ReadableStream({
+    async start(controller) {
+      controller.enqueue(encodeEvent("meta", { model, fallback }));
+      let finishReason;
+      let usage;
 
-    const { message, files } = body;
-
-    // Initialize Google Generative AI
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
-    // Build contents array
-    const contents = [];
-
-    // Process image files
-    if (files && Array.isArray(files) && files.length > 0) {
-      for (const file of files) {
-        if (!file.type || !file.type.startsWith("image/")) continue;
-
-        let base64Data = file.data;
-        if (!base64Data) {
-          console.warn(`Skipping file ${file.name}: no data`);
-          continue;
+      try {
+        while (true) {
+          let roundUsage;
+          const calls = [];
+          let chunk = { value: current.firstChunk, done: false };
+          while (!chunk.done) {
+            const { value } = chunk;
+            for (const part of value?.parts || textPart(value?.text)) {
+              controller.enqueue(
+                part.type === "text" ? encodeEvent("chunk", { text: part.text }) : encodeEvent("part", part)
+              );
+            }
+            if (value?.finishReason) finishReason = value.finishReason;
+            if (value?.usage) roundUsage = value.usage;
+            if (value?.functionCalls) calls.push(...value.functionCalls);
+            deadline.touch(STREAM_IDLE_TIMEOUT_MS);
+            chunk = await current.iterator.next();
+          }
+          usage = addUsage(usage, roundUsage);
+          if (calls.length === 0 || !tools) break;
+
+          const steps = await tools.run(calls);
+          for (const step of steps) {
+            controller.enqueue(encodeEvent("tool", step));
+          }
+          // The browser runs these and continues the reply with a new request
+          if (steps.some((step) => step.pending)) {
+            finishReason = "TOOL_CALLS";
+            break;
+          }
+          deadline.touch(FIRST_TOKEN_TIMEOUT_MS);
+          current = await openStream(provider, tools.next(steps));
         }
-
-        if (typeof base64Data === "string" && base64Data.includes(",")) {
-          base64Data = base64Data.split(",")[1];
+        controller.enqueue(encodeEvent("done", { finishReason, usage }));
+      } catch (streamError) {
+        // A client disconnect is not the model's fault; anything else is
+        if (deadline.timedOut() || !deadline.signal.aborted) {
+          const error = deadline.timedOut() ? timeoutError(model, provider.name) : streamError;
+          onError(error);
+          console.error(`Stream from ${model} failed mid-response:`, error);
+          controller.enqueue(
+            encodeEvent("error", {
+              error: "The response was interrupted.",
+              code: errorCodeOf(error),
+              details: error?.message || "Unknown error",
+            })
+          );
         }
+      } finally {
+        deadline.clear();
+      }
 
-        if (typeof base64Data === "string") {
-          base64Data = base64Data.replace(/\s+/g, "");
-        }
+      try {
+        controller.close();
+      } catch {
+        // Already closed because the client disconnected
+      }
+    },
+    async cancel() {
+      // Client disconnected: stop pulling from the upstream model
+      deadline.clear();
+      await current.iterator.return?.();
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+};
+
+// What the attachments in `contents` require of a model
+const contentNeeds = (contents) => {
+  const inlineTypes = contents.flatMap((content) =>
+    content.parts.filter((part) => part.inlineData).map((part) => part.inlineData.mimeType)
+  );
+  return {
+    needsVision: inlineTypes.some((type) => type.startsWith("image/")),
+    needsDocuments: inlineTypes.includes("application/pdf"),
+  };
+};
+
+const handleChat = async (request, client, rateConfig) => {
+  try {
+    // Throttle before doing any work for this client
+    if (client) {
+      const limit = await checkRequestLimit(client, rateConfig);
+      if (!limit.allowed) {
+        return rateLimitResponse(
+          limit,
+          "You're sending messages too quickly. Please wait a moment and try again."
+        );
+      }
+    }
 
-        if (!base64Data) {
-          console.warn(`Skipping file ${file.name}: invalid base64 data`);
-          continue;
-        }
+    // Validate provider configuration (API keys, model list)
+    const provider = getProvider();
+    const configError = provider.configError();
+    if (configError) {
+      console.error(`LLM provider "${provider.name}" is not configured: ${configError}`);
+      return Response.json({ error: configError, code: "NOT_CONFIGURED" }, { status: 500 });
+    }
 
-        contents.push({
-          inlineData: {
-            data: base64Data,
-            mimeType: file.type,
-          },
-        });
+    // Parse and validate the request body against the request contract
+    const body = validateChatRequest(await readJsonBody(request));
+    const {
+      message,
+      files,
+      conversationHistory,
+      stream,
+      model: preferredModel,
+      systemPrompt,
+      generationConfig,
+      toolSteps,
+      timeZone,
+    } = body;
+
+    // Uploads have their own byte budget
+    if (client) {
+      const uploadBytes = files.reduce((sum, file) => sum + base64ByteLength(file.data), 0);
+      const uploadLimit = await checkUploadBytesLimit(client, uploadBytes, rateConfig);
+      if (!uploadLimit.allowed) {
+        if (uploadLimit.retryAfter === null) {
+          return Response.json(
+            { error: "These attachments are too large to send in one message.", code: "PAYLOAD_TOO_LARGE" },
+            { status: 413 }
+          );
+        }
+        return rateLimitResponse(
+          uploadLimit,
+          "You've uploaded a lot of data recently. Please wait a moment before sending more attachments."
+        );
       }
     }
 
-    // Add text message
-    const prompt =
-      message?.trim() || (contents.length > 0 ? "What is in this image?" : null);
-    
-    if (prompt) {
-      // If we have images, add text to the contents array
-      if (contents.length > 0) {
-        contents.push(prompt);
-      } else {
-        // If no images, just use the text prompt directly
-        contents.push(prompt);
+    // A persona or custom prompt adds to the formatting rules, never replaces them
+    const instruction = systemPrompt?.trim()
+      ? `${FORMATTING_INSTRUCTION}\n\n${systemPrompt.trim()}`
+      : FORMATTING_INSTRUCTION;
+
+    // Build multi-turn contents from prior messages plus the new one, fitted
+    // to each model's context window (built once per distinct budget)
+    const builtContents = new Map();
+    const contentsFor = (modelConfig) => {
+      const budget = Math.max(0, getContextBudget(modelConfig, generationConfig) - estimateTextTokens(instruction));
+      if (!builtContents.has(budget)) {
+        builtContents.set(budget, buildContents({ history: conversationHistory, message, files, budget }));
       }
-    }
+      return builtContents.get(budget);
+    };
+
+    const models = getModels(provider);
+    const { contents } = contentsFor(models.find((model) => model.id === preferredModel) || models[0]);
 
     // Validate we have content to send
     if (contents.length === 0) {
       return Response.json(
-        { error: "No content provided. Please include a message or image." },
+        { error: "No content provided. Please include a message or attachment.", code: "EMPTY_MESSAGE" },
+        { status: 400 }
+      );
+    }
+
+    // Models in order with fallbacks, starting from the conversation's pick
+    const MODELS = resolveModelChain(models, {
+      preferred: preferredModel,
+      ...contentNeeds(contents),
+      needsTools: toolSteps.length > 0,
+    });
+
+    if (MODELS.length === 0) {
+      return Response.json(
+        { error: "No configured model can handle this request.", code: "NO_CAPABLE_MODEL" },
         { status: 400 }
       );
     }
 
-    // Models in order with fallbacks
-    const MODELS = [
-      "gemini-3-flash-preview",   // Primary model
-      "gemini-2.5-flash",          // Fast fallback
-      "gemini-2.5-flash-lite",     // Lite fallback
-      "gemini-2.5-flash-tts",      // TTS fallback
-      "gemma-3-27b-it",            // Final fallback
-    ];
+    // Fallback models get the output length clamped to their own limit instead
+    const outputLimit = MODELS[0].maxOutputTokens;
+    if (generationConfig?.maxOutputTokens > outputLimit) {
+      return Response.json(
+        {
+          error: `Max output tokens for ${MODELS[0].label} is ${outputLimit}.`,
+          code: "INVALID_GENERATION_CONFIG",
+          details: "generationConfig.maxOutputTokens",
+        },
+        { status: 400 }
+      );
+    }
 
-    const MAX_RETRIES = MODELS.length - 1;
     let lastError;
+    const skipped = [];
+
+    for (let attempt = 0; attempt < MODELS.length; attempt++) {
+      const modelConfig = MODELS[attempt];
+      const model = modelConfig.id;
+      const healthKey = `${provider.name}:${model}`;
+      // Anything other than the model the user picked (or the default) is a fallback
+      const fallback = preferredModel ? model !== preferredModel : attempt > 0;
+
+      // A larger context window can bring back attachments this model can't read
+      const { contents: modelContents, droppedTurns, estimatedTokens } = contentsFor(modelConfig);
+      if (resolveModelChain([modelConfig], contentNeeds(modelContents)).length === 0) {
+        console.log(`Skipping model ${model}: history needs capabilities it lacks`);
+        continue;
+      }
 
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      const model = MODELS[attempt];
+      // Skip models whose circuit is open because they failed recently
+      if (!tryAcquire(healthKey)) {
+        console.log(`Skipping model ${model}: circuit open`);
+        skipped.push(healthKey);
+        continue;
+      }
 
-      try {
-        if (attempt > 0) {
-          console.log(
-            `Retry attempt ${attempt}/${MAX_RETRIES} using model: ${model}`
-          );
-          await delay(RETRY_DELAY * attempt);
-        }
+      if (attempt > 0) {
+        console.log(`Trying fallback model ${attempt + 1}/${MODELS.length}: ${model}`);
+      }
 
-        const response = await ai.models.generateContent({
+      if (droppedTurns > 0) {
+        console.log(
+          `Context budget for ${model} exceeded: summarized ${droppedTurns} older turn(s), ~${estimatedTokens} tokens sent`
+        );
+      }
+
+      const deadline = createCallDeadline(
+        request.signal,
+        stream ? FIRST_TOKEN_TIMEOUT_MS : REQUEST_TIMEOUT_MS
+      );
+
+      try {
+        // Some models reject system instructions, so fold it into the first turn
+        const params = {
           model,
-          contents,
-          systemInstruction: FORMATTING_INSTRUCTION,
-        });
+          contents: modelConfig.systemInstruction
+            ? modelContents
+            : withInlineInstruction(modelContents, instruction),
+          systemInstruction: modelConfig.systemInstruction
+            ? instruction
+            : undefined,
+          generationConfig: fitGenerationConfig(generationConfig, modelConfig),
+          tools: modelConfig.tools ? getToolDeclarations() : undefined,
+          signal: deadline.signal,
+        };
+        const tools = modelConfig.tools ? createToolLoop(params, toolSteps, { timeZone }) : null;
+
+        if (stream) {
+          // Falls through to the next model if this one fails before its first token
+          const { iterator, firstChunk } = await openStream(provider, tools?.params || params);
+          recordSuccess(healthKey);
+          return streamResponse({
+            model,
+            fallback,
+            iterator,
+            firstChunk,
+            deadline,
+            onError: (error) => recordFailure(healthKey, error),
+            provider,
+            tools,
+          });
+        }
 
-        const responseText = response.text;
+        let response = await provider.generate(tools?.params || params);
+        let responseText = response.text;
+        let parts = response.parts || textPart(response.text);
+        let usage = response.usage;
+        let finishReason = response.finishReason;
+        const steps = [];
+        while (tools && response.functionCalls?.length > 0) {
+          const roundSteps = await tools.run(response.functionCalls);
+          steps.push(...roundSteps);
+          if (roundSteps.some((step) => step.pending)) {
+            finishReason = "TOOL_CALLS";
+            break;
+          }
+          response = await provider.generate(tools.next(roundSteps));
+          responseText += response.text;
+          parts = appendParts(parts, response.parts || textPart(response.text));
+          usage = addUsage(usage, response.usage);
+          finishReason = response.finishReason;
+        }
+        deadline.clear();
 
-        if (!responseText) {
-          throw new Error("No text response received from API");
+        if (!responseText && !hasRichParts(parts) && finishReason !== "TOOL_CALLS") {
+          throw emptyResponseError(response.finishReason, provider.name);
         }
 
-        return Response.json({ response: responseText });
+        recordSuccess(healthKey);
+        return Response.json({
+          response: responseText,
+          model,
+          fallback,
+          finishReason,
+          usage,
+          ...(hasRichParts(parts) && { parts }),
+          ...(steps.length > 0 && { toolSteps: steps }),
+        });
       } catch (apiError) {
-        lastError = apiError;
+        deadline.clear();
 
-        const status = apiError?.status;
-        const message =
-          apiError?.error?.message || apiError?.message || "Unknown error";
+        // The client went away (e.g. pressed Stop); don't try other models
+        if (request.signal.aborted) {
+          releaseTrial(healthKey);
+          return new Response(null, { status: 499 });
+        }
+
+        const error = deadline.timedOut() ? timeoutError(model, provider.name) : apiError;
+        lastError = error;
+        recordFailure(healthKey, error);
 
+        const status = error?.status;
         console.warn(
-          `Model ${model} failed (attempt ${attempt + 1}/${
-            MAX_RETRIES + 1
-          }): ${message}`
+          `Model ${model} failed (attempt ${attempt + 1}/${MODELS.length}): ${
+            error?.message || "Unknown error"
+          }`
         );
 
         // Only break on **true client errors**, not rate limit (429) or model not found (404)
@@ -161,53 +511,47 @@ export async function POST(request) {
       }
     }
 
-    // All retries failed
-    console.error("All retry attempts failed:", lastError);
-
-    const errorMessage = lastError?.message || "Unknown error";
-    const isRateLimitError =
-      errorMessage.toLowerCase().includes("rate limit") ||
-      errorMessage.toLowerCase().includes("quota");
-    const isAuthError =
-      errorMessage.toLowerCase().includes("api key") ||
-      errorMessage.toLowerCase().includes("authentication");
-
-    if (isRateLimitError) {
+    // Every model is cooling down after recent failures
+    if (!lastError && skipped.length > 0) {
+      const retryAfter = Math.max(1, secondsUntilAvailable(skipped));
       return Response.json(
         {
-          error: "Rate limit exceeded. Please wait a moment and try again.",
-          details: errorMessage,
+          error: "All models are temporarily unavailable. Please try again shortly.",
+          code: "UPSTREAM_UNAVAILABLE",
+          details: `Retry in ${retryAfter}s`,
         },
-        { status: 429 }
+        { status: 503, headers: { "Retry-After": String(retryAfter) } }
       );
     }
 
-    if (isAuthError) {
-      return Response.json(
-        {
-          error:
-            "API authentication failed. Please check your API key configuration.",
-          details: errorMessage,
-        },
-        { status: 401 }
-      );
+    // All retries failed
+    console.error("All retry attempts failed:", lastError);
+    return errorResponse(lastError);
+  } catch (error) {
+    if (error instanceof ChatRequestError) {
+      console.warn(`Rejected chat request: ${error.code}${error.details ? ` (${error.details})` : ""}`);
+      return error.toResponse();
     }
 
-    return Response.json(
-      {
-        error: "Failed to generate response from API.",
-        details: errorMessage,
-      },
-      { status: 500 }
-    );
-  } catch (error) {
     console.error("Unexpected error in API route:", error);
     return Response.json(
       {
         error: "An unexpected error occurred.",
+        code: "INTERNAL",
         details: error.message || "Unknown error",
       },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+};
+
+export async function POST(request) {
+  const rateConfig = getRateLimitConfig();
+  const client = rateConfig.enabled ? identifyClient(request, rateConfig) : null;
+
+  const response = await handleChat(request, client, rateConfig);
+  if (client?.setCookie) {
+    response.headers.append("Set-Cookie", client.setCookie);
+  }
+  return response;
+}
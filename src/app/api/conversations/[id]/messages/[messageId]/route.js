@@ -0,0 +1,47 @@
+import { readJsonBody } from "@/lib/chatRequest";
+import {
+  checkConversationId,
+  handleConversationRequest,
+  messageSchema,
+  notFound,
+  parseBody,
+} from "@/lib/conversationRequest";
+import { removeBranch } from "@/lib/messageTree";
+
+const hasMessage = (conversation, messageId) =>
+  conversation.messages.some((msg) => String(msg.id) === messageId);
+
+// Replace a message's content; its id and place in the tree stay
+export async function PUT(request, { params }) {
+  return handleConversationRequest(request, async (store) => {
+    const { id, messageId } = await params;
+    const message = parseBody(messageSchema, await readJsonBody(request));
+
+    let found = false;
+    const conversation = await store.update(checkConversationId(id), (current) => {
+      found = hasMessage(current, messageId);
+      if (!found) return current;
+      return {
+        ...current,
+        messages: current.messages.map((msg) =>
+          String(msg.id) === messageId ? { ...message, id: msg.id, parentId: msg.parentId ?? null } : msg
+        ),
+      };
+    });
+    return conversation && found ? Response.json(conversation) : notFound();
+  });
+}
+
+// Delete a message and every reply after it, on all branches
+export async function DELETE(request, { params }) {
+  return handleConversationRequest(request, async (store) => {
+    const { id, messageId } = await params;
+
+    let found = false;
+    const conversation = await store.update(checkConversationId(id), (current) => {
+      found = hasMessage(current, messageId);
+      return found ? removeBranch(current, messageId) : current;
+    });
+    return conversation && found ? Response.json(conversation) : notFound();
+  });
+}
@@ -0,0 +1,28 @@
+import { ChatRequestError, readJsonBody } from "@/lib/chatRequest";
+import {
+  checkConversationId,
+  handleConversationRequest,
+  messageSchema,
+  notFound,
+  parseBody,
+} from "@/lib/conversationRequest";
+import { appendMessage } from "@/lib/messageTree";
+
+// Add a message to a conversation, as the active reply under its `parentId`
+export async function POST(request, { params }) {
+  return handleConversationRequest(request, async (store) => {
+    const id = checkConversationId((await params).id);
+    const message = parseBody(messageSchema, await readJsonBody(request));
+
+    let duplicate = false;
+    const conversation = await store.update(id, (current) => {
+      duplicate = current.messages.some((msg) => String(msg.id) === String(message.id));
+      return duplicate ? current : appendMessage(current, message);
+    });
+    if (!conversation) return notFound();
+    if (duplicate) {
+      throw new ChatRequestError(409, "ALREADY_EXISTS", "A message with this id already exists.");
+    }
+    return Response.json(conversation, { status: 201 });
+  });
+}
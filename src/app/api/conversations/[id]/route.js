@@ -0,0 +1,44 @@
+import { ChatRequestError, readJsonBody } from "@/lib/chatRequest";
+import {
+  checkConversationId,
+  conversationSchema,
+  handleConversationRequest,
+  notFound,
+  parseBody,
+} from "@/lib/conversationRequest";
+import { MAX_CONVERSATION_BODY_BYTES } from "@/config/limits";
+
+export async function GET(request, { params }) {
+  return handleConversationRequest(request, async (store) => {
+    const conversation = await store.get(checkConversationId((await params).id));
+    return conversation ? Response.json(conversation) : notFound();
+  });
+}
+
+// Create or replace a conversation. A version older than the stored one
+// (by `updatedAt`) is refused with a 409 carrying the stored one.
+export async function PUT(request, { params }) {
+  return handleConversationRequest(request, async (store) => {
+    const id = checkConversationId((await params).id);
+    const conversation = parseBody(conversationSchema, await readJsonBody(request, MAX_CONVERSATION_BODY_BYTES));
+    if (String(conversation.id) !== id) {
+      throw new ChatRequestError(400, "INVALID_REQUEST", "The conversation's id doesn't match the URL.");
+    }
+    const { conversation: stored, created } = await store.put({
+      ...conversation,
+      updatedAt: conversation.updatedAt || Date.now(),
+    });
+    return Response.json(stored, { status: created ? 201 : 200 });
+  });
+}
+
+// Delete a conversation. `?deletedAt=` is when the client deleted it; one
+// edited after that is kept (409).
+export async function DELETE(request, { params }) {
+  return handleConversationRequest(request, async (store) => {
+    const id = checkConversationId((await params).id);
+    const deletedAt = Number(new URL(request.url).searchParams.get("deletedAt")) || Date.now();
+    const existed = await store.remove(id, deletedAt);
+    return existed ? new Response(null, { status: 204 }) : notFound();
+  });
+}
@@ -0,0 +1,24 @@
+import { ChatRequestError, readJsonBody } from "@/lib/chatRequest";
+import { conversationSchema, handleConversationRequest, parseBody } from "@/lib/conversationRequest";
+import { MAX_CONVERSATION_BODY_BYTES } from "@/config/limits";
+
+// Conversations changed or deleted since `?since=` (the `serverTime` of the
+// previous call), or all of them without it
+export async function GET(request) {
+  return handleConversationRequest(request, async (store) => {
+    const since = Number(new URL(request.url).searchParams.get("since")) || 0;
+    return Response.json(await store.listChanges(since));
+  });
+}
+
+// Create a conversation; one with the same id already stored is a 409
+export async function POST(request) {
+  return handleConversationRequest(request, async (store) => {
+    const conversation = parseBody(conversationSchema, await readJsonBody(request, MAX_CONVERSATION_BODY_BYTES));
+    if (await store.get(conversation.id)) {
+      throw new ChatRequestError(409, "ALREADY_EXISTS", "A conversation with this id already exists.");
+    }
+    const stored = await store.put({ ...conversation, updatedAt: conversation.updatedAt || Date.now() });
+    return Response.json(stored.conversation, { status: 201 });
+  });
+}
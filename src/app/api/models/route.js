@@ -0,0 +1,32 @@
+import { getCircuitState } from "@/lib/modelHealth";
+import { getModels, toPublicModel } from "@/lib/models";
+import { getProvider } from "@/lib/providers";
+import { getServerStorageConfig } from "@/lib/serverStore";
+
+// List the models the chat route can use, in fallback order
+export async function GET() {
+  try {
+    const provider = getProvider();
+    const models = getModels(provider).map((model) => ({
+      ...toPublicModel(model),
+      health: getCircuitState(`${provider.name}:${model.id}`),
+    }));
+
+    return Response.json({
+      provider: provider.name,
+      defaultModel: models[0]?.id || null,
+      models,
+      // Whether /api/conversations is on, so the UI can offer server sync
+      serverStorage: getServerStorageConfig().enabled,
+    });
+  } catch (error) {
+    console.error("Failed to list models:", error);
+    return Response.json(
+      {
+        error: "Failed to load the model list.",
+        details: error.message || "Unknown error",
+      },
+      { status: 500 }
+    );
+  }
+}
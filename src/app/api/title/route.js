@@ -0,0 +1,115 @@
+import { withInlineInstruction } from "@/lib/chatHistory";
+import { ChatRequestError, readJsonBody, validateTitleRequest } from "@/lib/chatRequest";
+import { getModels, resolveModelChain } from "@/lib/models";
+import { recordFailure, recordSuccess, releaseTrial, tryAcquire } from "@/lib/modelHealth";
+import { getProvider } from "@/lib/providers";
+import {
+  checkRequestLimit,
+  getRateLimitConfig,
+  identifyClient,
+  rateLimitResponse,
+} from "@/lib/rateLimit";
+import { cleanTitle } from "@/lib/titles";
+
+// Titles are a nice-to-have: give up quickly and let the client keep its fallback
+const TITLE_TIMEOUT_MS = 15 * 1000;
+const MAX_TITLE_ATTEMPTS = 2;
+const TITLE_BODY_BYTES = 64 * 1024;
+
+const TITLE_INSTRUCTION = `Write a short, descriptive title for the conversation below, in the language the user wrote in.
+Use at most six words. Reply with the title only: no quotes, no Markdown and no trailing punctuation.`;
+
+const describeExchange = ({ message, reply, fileNames }) =>
+  [
+    message.trim() && `User: ${message.trim()}`,
+    fileNames.length > 0 && `Attachments: ${fileNames.join(", ")}`,
+    reply.trim() && `Assistant: ${reply.trim()}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+const generateTitle = async (request, client, rateConfig) => {
+  try {
+    if (client) {
+      const limit = await checkRequestLimit(client, rateConfig);
+      if (!limit.allowed) {
+        return rateLimitResponse(limit, "Too many requests. Please wait a moment and try again.");
+      }
+    }
+
+    const provider = getProvider();
+    const configError = provider.configError();
+    if (configError) {
+      return Response.json({ error: configError }, { status: 500 });
+    }
+
+    const body = validateTitleRequest(await readJsonBody(request, TITLE_BODY_BYTES));
+    const contents = [{ role: "user", parts: [{ text: describeExchange(body) }] }];
+    const models = resolveModelChain(getModels(provider), { preferred: body.model }).slice(
+      0,
+      MAX_TITLE_ATTEMPTS
+    );
+
+    let lastError;
+    for (const modelConfig of models) {
+      const healthKey = `${provider.name}:${modelConfig.id}`;
+      if (!tryAcquire(healthKey)) continue;
+
+      try {
+        const response = await provider.generate({
+          model: modelConfig.id,
+          contents: modelConfig.systemInstruction
+            ? contents
+            : withInlineInstruction(contents, TITLE_INSTRUCTION),
+          systemInstruction: modelConfig.systemInstruction ? TITLE_INSTRUCTION : undefined,
+          generationConfig: { temperature: 0.3 },
+          signal: AbortSignal.any([request.signal, AbortSignal.timeout(TITLE_TIMEOUT_MS)]),
+        });
+        recordSuccess(healthKey);
+
+        const title = cleanTitle(response.text);
+        if (title) return Response.json({ title, model: modelConfig.id });
+        lastError = new Error("The model returned an empty title");
+      } catch (error) {
+        if (request.signal.aborted) {
+          releaseTrial(healthKey);
+          return new Response(null, { status: 499 });
+        }
+        recordFailure(healthKey, error);
+        lastError = error;
+        console.warn(`Title generation with ${modelConfig.id} failed: ${error?.message || "Unknown error"}`);
+      }
+    }
+
+    return Response.json(
+      {
+        error: "Couldn't generate a title.",
+        details: lastError?.message || "No model available",
+      },
+      { status: 502 }
+    );
+  } catch (error) {
+    if (error instanceof ChatRequestError) return error.toResponse();
+
+    console.error("Unexpected error in title route:", error);
+    return Response.json(
+      {
+        error: "An unexpected error occurred.",
+        details: error.message || "Unknown error",
+      },
+      { status: 500 }
+    );
+  }
+};
+
+// Generate a conversation title from its first exchange
+export async function POST(request) {
+  const rateConfig = getRateLimitConfig();
+  const client = rateConfig.enabled ? identifyClient(request, rateConfig) : null;
+
+  const response = await generateTitle(request, client, rateConfig);
+  if (client?.setCookie) {
+    response.headers.append("Set-Cookie", client.setCookie);
+  }
+  return response;
+}
@@ -1,63 +1,138 @@
 'use client';
 
-import React, { useState, useRef, useEffect } from 'react';
-import { Send, Plus, MessageSquare, X, Menu, Paperclip, Image, FileText, Trash2 } from 'lucide-react';
-
-// Simple Markdown to HTML converter
-const parseMarkdown = (text) => {
-  if (!text) return '';
-  
-  let html = text;
-  
-  // Bold: **text** or __text__
-  html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/__(.+?)__/g, '<strong>$1</strong>');
-  
-  // Italic: *text* or _text_
-  html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-  html = html.replace(/_(.+?)_/g, '<em>$1</em>');
-  
-  // Code: `code`
-  html = html.replace(/`(.+?)`/g, '<code class="bg-neutral-700 px-1 py-0.5 rounded text-sm">$1</code>');
-  
-  // Links: [text](url)
-  html = html.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:underline">$1</a>');
-  
-  // Line breaks
-  html = html.replace(/\n/g, '<br>');
-  
-  return html;
-};
+import React, { useState, useRef, useEffect, useMemo, useDeferredValue, useCallback, useSyncExternalStore } from 'react';
+import { Send, Plus, MessageSquare, X, Menu, Paperclip, Trash2, Square, HardDrive, AlertTriangle, Cpu, Clock, Upload, Search, Pencil, RefreshCw, UserCog, SlidersHorizontal, ChevronsRight, GitBranch, BarChart3, RotateCcw, Mic, Volume2, Pause, Play, Cloud } from 'lucide-react';
+import { readEventStream } from '@/lib/sse';
+import MessageContent from '@/components/MessageContent';
+import AttachmentChip from '@/components/AttachmentChip';
+import ImageAttachment from '@/components/ImageAttachment';
+import BranchSwitcher from '@/components/BranchSwitcher';
+import PersonaModal from '@/components/PersonaModal';
+import GenerationSettingsModal from '@/components/GenerationSettingsModal';
+import ExportMenu from '@/components/ExportMenu';
+import SearchResults from '@/components/SearchResults';
+import EditableTitle from '@/components/EditableTitle';
+import ConversationList from '@/components/ConversationList';
+import TrashModal from '@/components/TrashModal';
+import UndoToast from '@/components/UndoToast';
+import UsageModal from '@/components/UsageModal';
+import SpeechSettingsModal from '@/components/SpeechSettingsModal';
+import ServerSyncModal from '@/components/ServerSyncModal';
+import ErrorNotice from '@/components/ErrorNotice';
+import ToolSteps from '@/components/ToolSteps';
+import MessageParts from '@/components/MessageParts';
+import { ACCEPTED_FILE_TYPES, describeAttachment, getAttachmentKind } from '@/lib/attachments';
+import {
+  loadConversations,
+  saveConversationChanges,
+  saveActiveConversationId,
+  migrateFromLocalStorage,
+  getStorageUsage,
+  loadPersonas,
+  savePersonas,
+  loadGenerationDefaults,
+  saveGenerationDefaults,
+  loadFolders,
+  saveFolders,
+  loadConversationsById,
+  loadTrashRetention,
+  saveTrashRetention,
+  loadUsageBudget,
+  saveUsageBudget,
+  loadSpeechSettings,
+  saveSpeechSettings,
+  loadServerSync,
+  saveServerSync,
+} from '@/lib/conversationStore';
+import { downloadConversations, importConversations } from '@/lib/conversationExport';
+import { formatBytes } from '@/lib/format';
+import { createSearchIndex } from '@/lib/searchIndex';
+import { getConversationPersona, getSystemPrompt } from '@/lib/personas';
+import { describeGenerationSettings, getGenerationSettings, toRequestConfig } from '@/lib/generationSettings';
+import { DEFAULT_TITLE, fallbackTitle } from '@/lib/titles';
+import { groupConversations } from '@/lib/conversationGroups';
+import { mergeConversation } from '@/lib/conversationMerge';
+import { createTabSync } from '@/lib/tabSync';
+import { queueServerDeletes, resetSyncState, syncWithServer } from '@/lib/serverSync';
+import { isExpired, isTrashed, moveToTrash, restoreFromTrash } from '@/lib/trash';
+import { chatError, describeChatError, toErrorMessage } from '@/lib/chatErrors';
+import { isBlockedFinishReason } from '@/lib/providers/errors';
+import { appendParts, hasRichParts, textPart } from '@/lib/messageParts';
+import {
+  isDictationSupported,
+  isSpeechSynthesisSupported,
+  pauseSpeech,
+  resumeSpeech,
+  speak,
+  startDictation,
+  stopSpeech,
+  subscribeNever,
+} from '@/lib/speech';
+import { conversationSearchTool, searchConversations } from '@/lib/tools/conversationSearch';
+import { addUsage, collectUsage, estimateCost, formatBudgetAmount, formatCost, formatTokens, getBudgetStatus } from '@/lib/usage';
+import {
+  appendMessage,
+  getActivePath,
+  getSiblings,
+  normalizeConversationTree,
+  removeBranch,
+  selectBranch,
+  selectPathTo,
+} from '@/lib/messageTree';
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_BODY_BYTES,
+  MAX_FILES_PER_MESSAGE,
+  MAX_HISTORY_MESSAGES,
+  MAX_MESSAGE_ATTACHMENT_BYTES,
+  MAX_MESSAGE_LENGTH,
+  MAX_TITLE_SOURCE_LENGTH,
+} from '@/config/limits';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '@/config/trash';
+import { BUDGET_WARNING_FRACTION } from '@/config/pricing';
+import { DEFAULT_SPEECH_SETTINGS } from '@/config/speech';
+import { SERVER_SYNC_DEBOUNCE_MS, SERVER_SYNC_INTERVAL_MS } from '@/config/sync';
 
-// Component to render message with Markdown
-const MessageContent = ({ content }) => {
-  return (
-    <div 
-      className="markdown-content"
-      dangerouslySetInnerHTML={{ __html: parseMarkdown(content) }}
-    />
-  );
-};
+// Sent (but not shown) when asking the model to continue a cut-off reply
+const CONTINUE_PROMPT = 'Continue exactly where your previous response stopped. Do not repeat anything or add a preamble.';
 
-// Component to display image attachments
-const ImageAttachment = ({ file }) => {
-  if (!file.data) return null;
+const withoutData = ({ data, ...file }) => file;
 
-  const imageUrl = `data:${file.type};base64,${file.data}`;
+/**
+ * JSON body for /api/chat, kept under MAX_BODY_BYTES. History carries only
+ * what the route reads; attachments from earlier messages are resent newest
+ * first while they fit and by name only after that.
+ */
+const toChatRequestBody = (request, history) => {
+  const messages = history.map(({ role, content, files }) => ({ role, content, ...(files?.length && { files }) }));
+  const byNameOnly = messages.map(msg => msg.files ? { ...msg, files: msg.files.map(withoutData) } : msg);
+  let room = MAX_BODY_BYTES - new Blob([JSON.stringify({ ...request, conversationHistory: byNameOnly })]).size;
+  if (room < 0) {
+    throw chatError(`This message is too large to send. The maximum request is ${formatBytes(MAX_BODY_BYTES)}.`, 'BODY_TOO_LARGE');
+  }
 
-  return (
-    <div className="mb-3 rounded-lg overflow-hidden border border-neutral-700">
-      <img 
-        src={imageUrl} 
-        alt={file.name}
-        className="max-w-full h-auto max-h-96 object-contain bg-neutral-900"
-      />
-    </div>
-  );
+  const conversationHistory = messages.toReversed().map(msg => msg.files ? {
+    ...msg,
+    files: msg.files.map(file => {
+      // Base64 is plain ASCII, so its length is what it adds to the body
+      const size = (file.data?.length || 0) + 16;
+      if (size > room) return withoutData(file);
+      room -= size;
+      return file;
+    }),
+  } : msg).toReversed();
+  return JSON.stringify({ ...request, conversationHistory });
 };
 
+// Delay before persisting changes, so streamed chunks are written in batches.
+// A long stream is still saved (and shown in other tabs) every SAVE_MAX_WAIT_MS.
+const SAVE_DEBOUNCE_MS = 300;
+const SAVE_MAX_WAIT_MS = 1000;
+
 // Delete Confirmation Modal Component
-const DeleteModal = ({ isOpen, onClose, onConfirm }) => {
+const DeleteModal = ({ isOpen, onClose, onConfirm, pinnedCount }) => {
+  const [keepPinned, setKeepPinned] = useState(true);
+
   if (!isOpen) return null;
 
   return (
@@ -67,12 +142,19 @@ const DeleteModal = ({ isOpen, onClose, onConfirm }) => {
           <div className="p-2 bg-red-900/20 rounded-lg">
             <Trash2 className="w-6 h-6 text-red-400" />
           </div>
-          <h2 className="text-xl font-semibold text-neutral-100">Delete All Conversations</h2>
+          <h2 className="text-xl font-semibold text-neutral-100">Clear All Conversations</h2>
         </div>
         
         <p className="text-neutral-300 mb-6">
-          Are you sure you want to delete all conversations? This action cannot be undone and all your chat history will be permanently lost.
+          Move all conversations, including archived ones, to the trash? You can restore them from the trash until they are removed for good. Your folders are kept.
         </p>
+
+        {pinnedCount > 0 && (
+          <label className="flex items-center gap-2 -mt-2 mb-6 text-sm text-neutral-300">
+            <input type="checkbox" checked={keepPinned} onChange={(e) => setKeepPinned(e.target.checked)} />
+            Keep {pinnedCount} pinned conversation{pinnedCount === 1 ? '' : 's'}
+          </label>
+        )}
         
         <div className="flex gap-3 justify-end">
           <button
@@ -82,10 +164,10 @@ const DeleteModal = ({ isOpen, onClose, onConfirm }) => {
             Cancel
           </button>
           <button
-            onClick={onConfirm}
+            onClick={() => onConfirm({ keepPinned: pinnedCount > 0 && keepPinned })}
             className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors font-medium"
           >
-            Delete All
+            {pinnedCount > 0 && keepPinned ? 'Move Unpinned to Trash' : 'Move All to Trash'}
           </button>
         </div>
       </div>
@@ -95,7 +177,7 @@ const DeleteModal = ({ isOpen, onClose, onConfirm }) => {
 
 export default function ChatbotApp() {
   const [conversations, setConversations] = useState([
-    { id: 1, title: 'New Conversation', messages: [] }
+    { id: 1, title: DEFAULT_TITLE, messages: [] }
   ]);
   const [activeConvId, setActiveConvId] = useState(1);
   const [input, setInput] = useState('');
@@ -103,199 +185,1053 @@ export default function ChatbotApp() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [storageLoaded, setStorageLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  const [storageUsage, setStorageUsage] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
+  const [modelList, setModelList] = useState({ models: [], defaultModel: null });
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null);
+  const [clock, setClock] = useState(0);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [searchIndex] = useState(createSearchIndex);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [renamingConvId, setRenamingConvId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const [personas, setPersonas] = useState([]);
+  const [showPersonaModal, setShowPersonaModal] = useState(false);
+  const [generationDefaults, setGenerationDefaults] = useState({});
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [folders, setFolders] = useState([]);
+  const [syncNotice, setSyncNotice] = useState(null);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [usageBudget, setUsageBudget] = useState(null);
+  const [showUsageModal, setShowUsageModal] = useState(false);
+  const [speechSettings, setSpeechSettings] = useState(DEFAULT_SPEECH_SETTINGS);
+  const [showSpeechModal, setShowSpeechModal] = useState(false);
+  // The reply being read aloud: { id, paused }
+  const [speaking, setSpeaking] = useState(null);
+  const [listening, setListening] = useState(false);
+  const [serverSync, setServerSync] = useState({ enabled: false, token: '' });
+  const [syncStatus, setSyncStatus] = useState({ lastSyncedAt: null, error: null });
+  const [showSyncModal, setShowSyncModal] = useState(false);
+  // The last delete, offered for undo: { id, message, ids, activeConvId }
+  const [undoAction, setUndoAction] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // Last snapshot written to IndexedDB, and a queue so saves never overlap
+  const persistedConversationsRef = useRef([]);
+  const saveQueueRef = useRef(Promise.resolve());
+  // Latest conversations, including changes merged in from other tabs
+  // that haven't rendered yet, and when the oldest unsaved change was made
+  const latestConversationsRef = useRef(conversations);
+  const unsavedSinceRef = useRef(null);
+  const tabSyncRef = useRef(null);
+  // Last persona list written, so loading them doesn't trigger a save
+  const persistedPersonasRef = useRef(personas);
+  const persistedDefaultsRef = useRef(generationDefaults);
+  const persistedFoldersRef = useRef(folders);
+  const persistedRetentionRef = useRef(trashRetentionDays);
+  const persistedBudgetRef = useRef(usageBudget);
+  const persistedSpeechRef = useRef(speechSettings);
+  const persistedServerSyncRef = useRef(serverSync);
+  // Server sync settings for the save effect, and hooks into the running sync
+  const serverSyncRef = useRef(serverSync);
+  const applyRemoteRef = useRef(null);
+  const syncNowRef = useRef(null);
+  const syncSoonRef = useRef(null);
+  // Stops the dictation in progress, if any
+  const stopDictationRef = useRef(null);
   const fileInputRef = useRef(null);
+  // Set while opening a search result, so the switch doesn't scroll to the bottom
+  const scrollTargetRef = useRef(null);
+  const importInputRef = useRef(null);
 
   const activeConv = conversations.find(c => c.id === activeConvId);
+  const activePath = useMemo(() => getActivePath(activeConv), [activeConv]);
 
-  // Load conversations from localStorage on mount
+  // Load conversations from IndexedDB on mount, migrating old localStorage data first
   useEffect(() => {
-    const loadConversations = () => {
+    const loadStoredConversations = async () => {
       try {
-        const saved = localStorage.getItem('chatbot-data');
-        if (saved) {
-          const data = JSON.parse(saved);
-          if (Array.isArray(data.conversations) && data.conversations.length > 0) {
-            setConversations(data.conversations);
-            if (data.activeConvId && data.conversations.some(c => c.id === data.activeConvId)) {
-              setActiveConvId(data.activeConvId);
-            }
+        await migrateFromLocalStorage();
+        const data = await loadConversations();
+        const retention = (await loadTrashRetention()) ?? DEFAULT_TRASH_RETENTION_DAYS;
+        persistedRetentionRef.current = retention;
+        setTrashRetentionDays(retention);
+        if (data.conversations.length > 0) {
+          persistedConversationsRef.current = data.conversations;
+          // Conversations from before branching load as single-branch trees, and
+          // expired trash is dropped (the next save deletes it from storage)
+          const loaded = data.conversations
+            .filter(conv => !isExpired(conv, retention))
+            .map(normalizeConversationTree);
+          latestConversationsRef.current = loaded;
+          setConversations(loaded);
+          const visible = loaded.filter(c => !isTrashed(c));
+          if (data.activeConvId && visible.some(c => c.id === data.activeConvId)) {
+            setActiveConvId(data.activeConvId);
+          } else if (visible.length > 0) {
+            setActiveConvId(visible[0].id);
+          } else {
+            const newConv = { id: Date.now(), title: DEFAULT_TITLE, messages: [], createdAt: Date.now() };
+            latestConversationsRef.current = [...loaded, newConv];
+            setConversations(latestConversationsRef.current);
+            setActiveConvId(newConv.id);
           }
         }
+        const storedPersonas = await loadPersonas();
+        persistedPersonasRef.current = storedPersonas;
+        setPersonas(storedPersonas);
+        const storedDefaults = await loadGenerationDefaults();
+        persistedDefaultsRef.current = storedDefaults;
+        setGenerationDefaults(storedDefaults);
+        const storedFolders = await loadFolders();
+        persistedFoldersRef.current = storedFolders;
+        setFolders(storedFolders);
+        const storedBudget = await loadUsageBudget();
+        persistedBudgetRef.current = storedBudget;
+        setUsageBudget(storedBudget);
+        const storedSpeech = { ...DEFAULT_SPEECH_SETTINGS, ...(await loadSpeechSettings()) };
+        persistedSpeechRef.current = storedSpeech;
+        setSpeechSettings(storedSpeech);
+        const storedServerSync = await loadServerSync();
+        persistedServerSyncRef.current = storedServerSync;
+        setServerSync(storedServerSync);
+        setStorageUsage(await getStorageUsage().catch(() => null));
       } catch (error) {
         console.error('Error loading conversations from storage:', error);
-        localStorage.removeItem('chatbot-data');
+        setStorageError(`Couldn't load saved conversations: ${error.message}`);
       } finally {
         setStorageLoaded(true);
       }
     };
 
-    loadConversations();
+    loadStoredConversations();
   }, []);
 
-  // Save conversations to localStorage whenever they change
+  // Persist only what changed, a moment after the last update (streaming updates often),
+  // and tell other tabs which conversations to reload
   useEffect(() => {
+    latestConversationsRef.current = conversations;
     if (!storageLoaded) return;
 
-    try {
-      localStorage.setItem('chatbot-data', JSON.stringify({
-        conversations,
-        activeConvId
-      }));
-    } catch (error) {
-      console.error('Error saving conversations to storage:', error);
+    const now = Date.now();
+    unsavedSinceRef.current ??= now;
+    const delay = Math.min(SAVE_DEBOUNCE_MS, Math.max(0, unsavedSinceRef.current + SAVE_MAX_WAIT_MS - now));
+
+    const timer = setTimeout(() => {
+      unsavedSinceRef.current = null;
+      saveQueueRef.current = saveQueueRef.current
+        .then(async () => {
+          const snapshot = latestConversationsRef.current;
+          const { changed, deleted } = await saveConversationChanges(persistedConversationsRef.current, snapshot);
+          persistedConversationsRef.current = snapshot;
+          if (changed.length + deleted.length > 0) {
+            tabSyncRef.current?.post({ type: 'conversations', changed, deleted });
+          }
+          if (serverSyncRef.current.enabled) {
+            if (deleted.length > 0) await queueServerDeletes(deleted);
+            if (changed.length + deleted.length > 0) syncSoonRef.current?.();
+          }
+          setStorageError(null);
+          setStorageUsage(await getStorageUsage().catch(() => null));
+        })
+        .catch(error => {
+          console.error('Error saving conversations to storage:', error);
+          setStorageError(`Couldn't save your changes: ${error.message}`);
+        });
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [conversations, storageLoaded]);
+
+  // Merge in conversations another tab saved. What storage now holds becomes
+  // this tab's base; unsaved local changes are kept on top of it.
+  useEffect(() => {
+    if (!storageLoaded) return;
+
+    const applyRemoteConversations = async ({ changed = [], deleted = [] }) => {
+      const remote = (await loadConversationsById(changed)).map(normalizeConversationTree);
+      const remoteById = new Map(remote.map(conv => [conv.id, conv]));
+      const deletedIds = new Set(deleted);
+      const base = persistedConversationsRef.current;
+      const baseById = new Map(base.map(conv => [conv.id, conv]));
+      const local = latestConversationsRef.current;
+      const localIds = new Set(local.map(conv => conv.id));
+
+      const conflicts = [];
+      const next = local
+        // A conversation deleted there survives only if it has unsaved changes here
+        .filter(conv => !deletedIds.has(conv.id) || conv !== baseById.get(conv.id))
+        .map(conv => {
+          if (!remoteById.has(conv.id)) return conv;
+          const { conversation, concurrentSends } = mergeConversation(baseById.get(conv.id), conv, remoteById.get(conv.id));
+          if (concurrentSends) conflicts.push(conversation);
+          return conversation;
+        });
+      // New there; anything in the base but not here was deleted here
+      next.push(...remote.filter(conv => !localIds.has(conv.id) && !baseById.has(conv.id)));
+
+      persistedConversationsRef.current = [
+        ...base.filter(conv => !deletedIds.has(conv.id)).map(conv => remoteById.get(conv.id) || conv),
+        ...remote.filter(conv => !baseById.has(conv.id)),
+      ];
+      // Set directly rather than through an updater so a save queued next
+      // already sees the merge
+      const conversations = next.length > 0
+        ? next
+        : [{ id: Date.now(), title: DEFAULT_TITLE, messages: [], createdAt: Date.now() }];
+      latestConversationsRef.current = conversations;
+      setConversations(conversations);
+      setActiveConvId(current => conversations.some(conv => conv.id === current) ? current : conversations[0].id);
+
+      if (conflicts.length > 0) {
+        setSyncNotice(`Another tab sent a message in "${conflicts[0].title}" at the same time. Both are kept as branches; use the arrows under a message to switch between them.`);
+      }
+    };
+
+    const reloadMeta = async (key) => {
+      if (key === 'personas') {
+        const stored = await loadPersonas();
+        persistedPersonasRef.current = stored;
+        setPersonas(stored);
+      } else if (key === 'folders') {
+        const stored = await loadFolders();
+        persistedFoldersRef.current = stored;
+        setFolders(stored);
+      } else if (key === 'trashRetentionDays') {
+        const stored = (await loadTrashRetention()) ?? DEFAULT_TRASH_RETENTION_DAYS;
+        persistedRetentionRef.current = stored;
+        setTrashRetentionDays(stored);
+      } else if (key === 'generationDefaults') {
+        const stored = await loadGenerationDefaults();
+        persistedDefaultsRef.current = stored;
+        setGenerationDefaults(stored);
+      } else if (key === 'usageBudget') {
+        const stored = await loadUsageBudget();
+        persistedBudgetRef.current = stored;
+        setUsageBudget(stored);
+      } else if (key === 'speechSettings') {
+        const stored = { ...DEFAULT_SPEECH_SETTINGS, ...(await loadSpeechSettings()) };
+        persistedSpeechRef.current = stored;
+        setSpeechSettings(stored);
+      } else if (key === 'serverSync') {
+        const stored = await loadServerSync();
+        persistedServerSyncRef.current = stored;
+        setServerSync(stored);
+      }
+    };
+
+    const sync = createTabSync((message) => {
+      // Queued behind saves so the base and local state never change mid-save
+      saveQueueRef.current = saveQueueRef.current
+        .then(() => message.type === 'conversations' ? applyRemoteConversations(message) : reloadMeta(message.key))
+        .catch(error => console.error('Error applying changes from another tab:', error));
+    });
+    tabSyncRef.current = sync;
+    // Server sync applies what it pulled the same way
+    applyRemoteRef.current = applyRemoteConversations;
+
+    return () => {
+      sync.close();
+      tabSyncRef.current = null;
+      applyRemoteRef.current = null;
+    };
+  }, [storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+
+    saveActiveConversationId(activeConvId).catch(error => {
+      console.error('Error saving active conversation:', error);
+    });
+  }, [activeConvId, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded || personas === persistedPersonasRef.current) return;
+
+    persistedPersonasRef.current = personas;
+    savePersonas(personas).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'personas' })).catch(error => {
+      console.error('Error saving personas:', error);
+      setStorageError(`Couldn't save your personas: ${error.message}`);
+    });
+  }, [personas, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded || generationDefaults === persistedDefaultsRef.current) return;
+
+    persistedDefaultsRef.current = generationDefaults;
+    saveGenerationDefaults(generationDefaults).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'generationDefaults' })).catch(error => {
+      console.error('Error saving generation settings:', error);
+      setStorageError(`Couldn't save your settings: ${error.message}`);
+    });
+  }, [generationDefaults, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded || folders === persistedFoldersRef.current) return;
+
+    persistedFoldersRef.current = folders;
+    saveFolders(folders).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'folders' })).catch(error => {
+      console.error('Error saving folders:', error);
+      setStorageError(`Couldn't save your folders: ${error.message}`);
+    });
+  }, [folders, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded || trashRetentionDays === persistedRetentionRef.current) return;
+
+    persistedRetentionRef.current = trashRetentionDays;
+    saveTrashRetention(trashRetentionDays).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'trashRetentionDays' })).catch(error => {
+      console.error('Error saving trash settings:', error);
+      setStorageError(`Couldn't save your trash settings: ${error.message}`);
+    });
+  }, [trashRetentionDays, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded || usageBudget === persistedBudgetRef.current) return;
+
+    persistedBudgetRef.current = usageBudget;
+    saveUsageBudget(usageBudget).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'usageBudget' })).catch(error => {
+      console.error('Error saving usage budget:', error);
+      setStorageError(`Couldn't save your budget: ${error.message}`);
+    });
+  }, [usageBudget, storageLoaded]);
+
+  useEffect(() => {
+    if (!storageLoaded || speechSettings === persistedSpeechRef.current) return;
+
+    persistedSpeechRef.current = speechSettings;
+    saveSpeechSettings(speechSettings).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'speechSettings' })).catch(error => {
+      console.error('Error saving read-aloud settings:', error);
+      setStorageError(`Couldn't save your read-aloud settings: ${error.message}`);
+    });
+  }, [speechSettings, storageLoaded]);
+
+  useEffect(() => {
+    serverSyncRef.current = serverSync;
+    if (!storageLoaded || serverSync === persistedServerSyncRef.current) return;
+
+    persistedServerSyncRef.current = serverSync;
+    saveServerSync(serverSync).then(() => tabSyncRef.current?.post({ type: 'meta', key: 'serverSync' })).catch(error => {
+      console.error('Error saving server sync settings:', error);
+      setStorageError(`Couldn't save your sync settings: ${error.message}`);
+    });
+  }, [serverSync, storageLoaded]);
+
+  // Sync with the server's conversation store while turned on: right away,
+  // periodically while the tab is visible, when it regains focus and
+  // shortly after local changes are saved
+  useEffect(() => {
+    if (!storageLoaded || !serverSync.enabled) return;
+
+    let active = true;
+    let running = null;
+    let soonTimer = null;
+
+    // IndexedDB writes wait for the app's own saves, like changes from other tabs
+    const exclusive = (task) => {
+      const result = saveQueueRef.current.then(task);
+      saveQueueRef.current = result.catch(() => {});
+      return result;
+    };
+
+    const run = () => {
+      running ??= syncWithServer({
+        token: serverSync.token,
+        exclusive,
+        onChange: ({ changed, deleted }) => {
+          saveQueueRef.current = saveQueueRef.current
+            .then(() => applyRemoteRef.current?.({ changed, deleted }))
+            .catch(error => console.error('Error applying changes from the server:', error));
+          tabSyncRef.current?.post({ type: 'conversations', changed, deleted });
+        },
+      })
+        .then(({ syncedAt, failed }) => active && setSyncStatus({
+          lastSyncedAt: syncedAt,
+          error: failed.length > 0
+            ? `Couldn't upload "${failed[0].title}"${failed.length > 1 ? ` and ${failed.length - 1} more` : ''}: ${failed[0].error}`
+            : null,
+        }))
+        .catch(error => {
+          console.error('Error syncing with the server:', error);
+          if (active) setSyncStatus(prev => ({ ...prev, error: error.message }));
+        })
+        .finally(() => {
+          running = null;
+        });
+      return running;
+    };
+    const runIfVisible = () => {
+      if (!document.hidden) run();
+    };
+
+    syncNowRef.current = run;
+    syncSoonRef.current = () => {
+      clearTimeout(soonTimer);
+      soonTimer = setTimeout(runIfVisible, SERVER_SYNC_DEBOUNCE_MS);
+    };
+    run();
+    const interval = setInterval(runIfVisible, SERVER_SYNC_INTERVAL_MS);
+    window.addEventListener('focus', runIfVisible);
+    document.addEventListener('visibilitychange', runIfVisible);
+
+    return () => {
+      active = false;
+      clearTimeout(soonTimer);
+      clearInterval(interval);
+      window.removeEventListener('focus', runIfVisible);
+      document.removeEventListener('visibilitychange', runIfVisible);
+      syncNowRef.current = null;
+      syncSoonRef.current = null;
+    };
+  }, [storageLoaded, serverSync]);
+
+  // Turning sync off forgets its progress, so turning it on again uploads everything
+  const changeServerSync = (settings) => {
+    if (serverSync.enabled && !settings.enabled) {
+      resetSyncState().catch(error => console.error('Error resetting server sync:', error));
     }
-  }, [conversations, activeConvId, storageLoaded]);
+    setServerSync(settings);
+  };
+
+  // Nothing should keep talking or listening after the page goes away
+  useEffect(() => () => {
+    stopSpeech();
+    stopDictationRef.current?.({ discard: true });
+  }, []);
 
+  // Fetch the models the server can route to, for the picker and message labels
   useEffect(() => {
+    fetch('/api/models')
+      .then(response => response.ok ? response.json() : Promise.reject(new Error(`Server error: ${response.status}`)))
+      .then(data => setModelList({ models: data.models || [], defaultModel: data.defaultModel, serverStorage: Boolean(data.serverStorage) }))
+      .catch(error => console.error('Error loading models:', error));
+  }, []);
+
+  // Tick once a second while a rate-limit countdown is showing
+  useEffect(() => {
+    if (!rateLimitedUntil) return;
+
+    const interval = setInterval(() => {
+      const now = Date.now();
+      setClock(now);
+      if (now >= rateLimitedUntil) setRateLimitedUntil(null);
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [rateLimitedUntil]);
+
+  const rateLimitSeconds = rateLimitedUntil
+    ? Math.max(0, Math.ceil((rateLimitedUntil - clock) / 1000))
+    : 0;
+
+  useEffect(() => {
+    if (scrollTargetRef.current) return;
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [activeConv?.messages]);
 
+  // Scroll to a message opened from search, then fade its highlight
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    document.getElementById(`message-${highlightedMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    scrollTargetRef.current = null;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
+
+  // Typing stays responsive: the search runs against a deferred query, and the
+  // index only re-tokenizes messages that changed since the last search
+  const deferredQuery = useDeferredValue(searchQuery.trim());
+  const searchResults = useMemo(() => {
+    if (!deferredQuery) return [];
+    searchIndex.update(conversations.filter(conv => !isTrashed(conv)));
+    return searchIndex.search(deferredQuery);
+  }, [deferredQuery, conversations, searchIndex]);
+
+  const sidebarGroups = useMemo(() => groupConversations(conversations, folders), [conversations, folders]);
+
+  const usageEntries = useMemo(() => collectUsage(conversations), [conversations]);
+  const budgetStatus = useMemo(() => getBudgetStatus(usageEntries, usageBudget), [usageEntries, usageBudget]);
+
+  // The budget is soft: past it, sending asks first instead of refusing
+  const confirmBudget = () => {
+    if (!budgetStatus || budgetStatus.fraction < 1) return true;
+    return window.confirm(
+      `You've used ${formatBudgetAmount(budgetStatus.spent, budgetStatus.unit)} of your ` +
+      `${formatBudgetAmount(budgetStatus.limit, budgetStatus.unit)} budget this ${budgetStatus.period}. Send anyway?`
+    );
+  };
+
+  const openSearchResult = (convId, messageId) => {
+    scrollTargetRef.current = messageId;
+    // The message may be on a branch that isn't showing
+    setConversations(prev => prev.map(conv => conv.id === convId ? selectPathTo(conv, messageId) : conv));
+    setActiveConvId(convId);
+    setHighlightedMessageId(messageId);
+    setSidebarOpen(false);
+  };
+
+  // Run a tool the server left to the browser (see lib/tools/conversationSearch);
+  // `excludeId` is the conversation being answered, kept out of search results
+  const runClientTool = ({ id, round, name, args, signature }, excludeId) => {
+    const step = { id, round, name, args, ...(signature && { signature }) };
+    if (name !== conversationSearchTool.declaration.name) return { ...step, error: `Unknown tool "${name}"` };
+    const searchable = latestConversationsRef.current.filter(conv => !isTrashed(conv));
+    return { ...step, result: searchConversations(searchIndex, searchable, args, { excludeId }) };
+  };
+
+  /**
+   * Ask the model to answer `prompt` (a user message already in the tree),
+   * given the messages before it on the active branch. The reply is added as
+   * a new child of the prompt, or appended to `continuing` when picking up a
+   * reply that hit the output limit. `onRateLimited` undoes whatever the
+   * caller added when the request is rejected before anything was generated.
+   * Resolves to the reply's text when it finished without an error.
+   *
+   * When the model calls a tool only the browser can run, the stream ends with
+   * "TOOL_CALLS"; the tool runs here and the reply continues with a new
+   * request carrying every step so far.
+   */
+  const requestReply = async ({ prompt, history, onRateLimited, continuing }) => {
+    const convId = activeConvId;
+    const assistantId = continuing ? continuing.id : Date.now() + 1;
+    const baseText = continuing ? continuing.content : '';
+    const baseSteps = continuing?.toolSteps || [];
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsLoading(true);
+
+    const updateMessages = (update) => {
+      setConversations(prev => prev.map(conv =>
+        conv.id === convId ? { ...conv, messages: update(conv.messages) } : conv
+      ));
+    };
+    const updateAssistant = (patch) => {
+      updateMessages(messages => messages.map(m => m.id === assistantId ? { ...m, ...patch } : m));
+    };
+    const addAssistant = (message) => {
+      setConversations(prev => prev.map(conv =>
+        conv.id === convId ? appendMessage(conv, { ...message, parentId: prompt.id }) : conv
+      ));
+    };
+
+    let streamedText = '';
+    // Images and code come as parts between the text; kept only if there are any
+    let parts = continuing?.parts || textPart(baseText);
+    let partsReceived = false;
+    let placeholderAdded = false;
+    let toolSteps = [];
+    // A continuation's tokens add to what the reply already used
+    let usage = continuing?.usage;
+
+    try {
+      let streamError = null;
+      while (true) {
+        const response = await fetch('/api/chat', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          // The route trims history to the model's context; error bubbles are never replayed
+          body: toChatRequestBody({
+            message: prompt.content,
+            files: prompt.files || [],
+            stream: true,
+            model: activeConv.model || undefined,
+            systemPrompt: getSystemPrompt(activeConv, personas),
+            generationConfig: toRequestConfig(getGenerationSettings(activeConv, generationDefaults), activeModel),
+            toolSteps,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          }, history.filter(m => !m.isError).slice(-MAX_HISTORY_MESSAGES)),
+          signal: controller.signal,
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+
+          // Rate limited: let the caller undo its changes and count down instead of erroring
+          const retryAfter = Number(response.headers.get('Retry-After')) || errorData.retryAfter;
+          if (response.status === 429 && retryAfter > 0 && !placeholderAdded) {
+            onRateLimited?.();
+            setClock(Date.now());
+            setRateLimitedUntil(Date.now() + retryAfter * 1000);
+            return;
+          }
+
+          throw chatError(errorData.error || `Server error: ${response.status}`, errorData.code, errorData.details);
+        }
+
+        // Later requests pick up after a client-run tool in the same bubble
+        if (!placeholderAdded) {
+          if (continuing) {
+            updateAssistant({ finishReason: null, stopped: false, interrupted: false });
+          } else {
+            addAssistant({
+              id: assistantId,
+              role: 'assistant',
+              content: '',
+              timestamp: new Date().toISOString()
+            });
+          }
+          placeholderAdded = true;
+          setStreamingMessageId(assistantId);
+        }
+
+        let finishReason = null;
+        await readEventStream(response.body, (event, data) => {
+          if (event === 'meta') {
+            updateAssistant({ model: data.model, fallback: !!data.fallback });
+          } else if (event === 'chunk') {
+            streamedText += data.text;
+            parts = appendParts(parts, textPart(data.text));
+            updateAssistant({ content: baseText + streamedText, ...(hasRichParts(parts) && { parts }) });
+          } else if (event === 'part') {
+            parts = appendParts(parts, [data]);
+            partsReceived = true;
+            updateAssistant({ parts });
+          } else if (event === 'tool') {
+            toolSteps = [...toolSteps.filter(step => step.id !== data.id), data];
+            updateAssistant({ toolSteps: [...baseSteps, ...toolSteps] });
+          } else if (event === 'done') {
+            finishReason = data.finishReason || null;
+            usage = addUsage(usage, data.usage);
+            updateAssistant({
+              finishReason: finishReason === 'TOOL_CALLS' ? null : finishReason,
+              usage: usage || null,
+            });
+          } else if (event === 'error') {
+            streamError = data;
+          }
+        });
+
+        if (streamError || finishReason !== 'TOOL_CALLS') break;
+        toolSteps = toolSteps.map(step => step.pending ? runClientTool(step, convId) : step);
+        updateAssistant({ toolSteps: [...baseSteps, ...toolSteps] });
+      }
+
+      const received = streamedText || partsReceived;
+      if (streamError) {
+        if (!received) throw chatError(streamError.error, streamError.code, streamError.details);
+        // Keep what arrived before the upstream failed
+        updateAssistant({ interrupted: true });
+      } else if (!received) {
+        throw chatError('No response received from API', 'EMPTY_RESPONSE');
+      }
+      return streamError ? null : baseText + streamedText;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopped by the user: keep the partial answer, drop an empty bubble
+        if (streamedText || partsReceived) {
+          updateAssistant({ stopped: true });
+        } else if (continuing) {
+          updateAssistant({ finishReason: continuing.finishReason });
+        } else if (placeholderAdded) {
+          updateMessages(messages => messages.filter(m => m.id !== assistantId));
+        }
+        return;
+      }
+
+      console.error('Error calling API:', error);
+      // fetch() rejects with a TypeError when the server can't be reached
+      if (!error.code && error instanceof TypeError) error.code = 'NETWORK';
+
+      // A failed continuation leaves the reply as it was, ready to try again
+      if (continuing) {
+        updateAssistant({ finishReason: continuing.finishReason });
+        const { title, hint } = describeChatError(error.code, error.message);
+        alert(`Couldn't continue the response. ${title}: ${hint}`);
+        return;
+      }
+
+      const errorMessage = toErrorMessage(error, { id: assistantId, timestamp: new Date().toISOString() });
+
+      if (placeholderAdded) {
+        updateAssistant(errorMessage);
+      } else {
+        addAssistant(errorMessage);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingMessageId(null);
+      setIsLoading(false);
+    }
+  };
+
   const handleSend = async () => {
-    if ((!input.trim() && files.length === 0) || isLoading) return;
+    if ((!input.trim() && files.length === 0) || isLoading || rateLimitedUntil) return;
+    if (!confirmBudget()) return;
+    // What was heard so far is in the input; anything later would land in the next message
+    stopDictationRef.current?.({ discard: true });
 
     const userMessage = {
       id: Date.now(),
+      parentId: activePath.length > 0 ? activePath[activePath.length - 1].id : null,
       role: 'user',
       content: input,
       files: files.map(f => ({ name: f.name, type: f.type, size: f.size, data: f.data })),
       timestamp: new Date().toISOString()
     };
 
+    const isFirstMessage = activeConv.messages.length === 0;
     setConversations(prev => prev.map(conv =>
       conv.id === activeConvId
         ? {
-            ...conv,
-            messages: [...conv.messages, userMessage],
-            title: conv.messages.length === 0 && input.trim() 
-              ? input.slice(0, 30) + (input.length > 30 ? '...' : '') 
-              : conv.title
+            ...appendMessage(conv, userMessage),
+            title: isFirstMessage && !conv.titleEdited ? fallbackTitle(input, files) : conv.title
           }
         : conv
     ));
 
     const currentInput = input;
     const currentFiles = files;
+    const convId = activeConvId;
     setInput('');
     setFiles([]);
-    setIsLoading(true);
 
+    // If rate limited, the message goes back into the composer
+    const reply = await requestReply({
+      prompt: userMessage,
+      history: activePath,
+      onRateLimited: () => {
+        setConversations(prev => prev.map(conv =>
+          conv.id === convId ? { ...conv, messages: conv.messages.filter(m => m.id !== userMessage.id) } : conv
+        ));
+        setInput(currentInput);
+        setFiles(currentFiles);
+      },
+    });
+
+    if (isFirstMessage && reply) {
+      generateTitle(convId, { message: currentInput, fileNames: currentFiles.map(f => f.name), reply });
+    }
+  };
+
+  // Replace the placeholder title with one written by the model. Failures keep
+  // the placeholder, and a title the user typed in the meantime always wins.
+  const generateTitle = async (convId, { message, fileNames, reply }) => {
     try {
-      const response = await fetch('/api/chat', {
+      const response = await fetch('/api/title', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          message: currentInput,
-          files: currentFiles,
-          conversationHistory: activeConv.messages.slice(-10)
+          message: message.slice(0, MAX_TITLE_SOURCE_LENGTH),
+          reply: reply.slice(0, MAX_TITLE_SOURCE_LENGTH),
+          fileNames,
+          model: activeConv.model || undefined,
         }),
       });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.title) throw new Error(data.details || data.error || `Server error: ${response.status}`);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-        throw new Error(errorData.error || errorData.details || `Server error: ${response.status}`);
-      }
+      setConversations(prev => prev.map(conv =>
+        conv.id === convId && !conv.titleEdited ? { ...conv, title: data.title } : conv
+      ));
+    } catch (error) {
+      console.warn('Title generation failed, keeping the placeholder:', error.message);
+    }
+  };
 
-      const data = await response.json();
+  const updateConversation = (convId, patch) => {
+    setConversations(prev => prev.map(conv =>
+      conv.id === convId ? { ...conv, ...patch } : conv
+    ));
+  };
 
-      if (!data.response) {
-        throw new Error('No response received from API');
-      }
+  const renameConversation = (convId, title) => updateConversation(convId, { title, titleEdited: true });
 
-      const aiMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: data.response,
-        timestamp: new Date().toISOString()
-      };
+  // Conversations in a deleted folder move back to the date-grouped list
+  const deleteFolder = (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its conversations are kept.`)) return;
+    setFolders(prev => prev.filter(f => f.id !== folder.id));
+    setConversations(prev => prev.map(conv =>
+      conv.folderId === folder.id ? { ...conv, folderId: null } : conv
+    ));
+  };
 
-      setConversations(prev => prev.map(conv =>
-        conv.id === activeConvId
-          ? { ...conv, messages: [...conv.messages, aiMessage] }
-          : conv
-      ));
-    } catch (error) {
-      console.error('Error calling API:', error);
-      
-      const errorMessage = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: `Sorry, I encountered an error: ${error.message}. Please try again.`,
-        timestamp: new Date().toISOString(),
-        isError: true
-      };
+  // Send an edited copy of a user message as a new branch next to the original
+  const handleEditResend = async (message, content) => {
+    if ((!content.trim() && !message.files?.length) || isLoading || rateLimitedUntil) return;
+    if (!confirmBudget()) return;
 
-      setConversations(prev => prev.map(conv =>
-        conv.id === activeConvId
-          ? { ...conv, messages: [...conv.messages, errorMessage] }
-          : conv
-      ));
-    } finally {
-      setIsLoading(false);
+    const edited = {
+      ...message,
+      id: Date.now(),
+      content,
+      timestamp: new Date().toISOString()
+    };
+    const history = activePath.slice(0, activePath.findIndex(m => m.id === message.id));
+    const convId = activeConvId;
+
+    setEditingMessageId(null);
+    setConversations(prev => prev.map(conv =>
+      conv.id === convId ? appendMessage(conv, edited) : conv
+    ));
+
+    await requestReply({
+      prompt: edited,
+      history,
+      onRateLimited: () => {
+        setConversations(prev => prev.map(conv =>
+          conv.id === convId
+            ? { ...conv, messages: conv.messages.filter(m => m.id !== edited.id) }
+            : conv
+        ));
+      },
+    });
+  };
+
+  // Ask for another answer to the same prompt, kept as a sibling of the old one
+  const handleRegenerate = async (message) => {
+    if (isLoading || rateLimitedUntil || !confirmBudget()) return;
+
+    const promptIndex = activePath.findIndex(m => m.id === message.parentId);
+    if (promptIndex === -1) return;
+
+    await requestReply({
+      prompt: activePath[promptIndex],
+      history: activePath.slice(0, promptIndex),
+    });
+  };
+
+  // Pick up a reply that stopped at the output token limit
+  const handleContinue = async (message) => {
+    if (isLoading || rateLimitedUntil || !confirmBudget()) return;
+
+    await requestReply({
+      prompt: { content: CONTINUE_PROMPT, files: [] },
+      history: activePath.slice(0, activePath.findIndex(m => m.id === message.id) + 1),
+      continuing: message,
+    });
+  };
+
+  // Ask again in place of a failed reply, which is removed rather than kept as a branch
+  const handleRetry = async (message) => {
+    if (isLoading || rateLimitedUntil || !confirmBudget()) return;
+
+    const promptIndex = activePath.findIndex(m => m.id === message.parentId);
+    if (promptIndex === -1) return;
+    const prompt = activePath[promptIndex];
+    const convId = activeConvId;
+    const hadReply = activeConv.messages.some(m => m.parentId === prompt.id && !m.isError);
+
+    setConversations(prev => prev.map(conv =>
+      conv.id === convId ? removeBranch(conv, message.id) : conv
+    ));
+
+    const reply = await requestReply({
+      prompt,
+      history: activePath.slice(0, promptIndex),
+      // Rate limited: bring the failed reply back to retry later
+      onRateLimited: () => {
+        setConversations(prev => prev.map(conv =>
+          conv.id === convId ? appendMessage(conv, message) : conv
+        ));
+      },
+    });
+
+    // The first message never got a title because it failed
+    if (reply && prompt.parentId === null && !hadReply) {
+      generateTitle(convId, { message: prompt.content, fileNames: (prompt.files || []).map(f => f.name), reply });
     }
   };
 
+  // Put the message behind a failed reply back in the composer, attachments
+  // included, so it can be changed and sent again. If the message has other
+  // replies it stays, and is edited in place instead.
+  const handleEditFailed = (message) => {
+    const prompt = activeConv.messages.find(m => m.id === message.parentId);
+    if (!prompt) return;
+
+    if (activeConv.messages.some(m => m.parentId === prompt.id && !m.isError)) {
+      updateActiveConversation(removeBranch(activeConv, message.id));
+      setEditingMessageId(prompt.id);
+      setEditDraft(prompt.content);
+      return;
+    }
+
+    if ((input.trim() || files.length > 0) && !window.confirm('Replace your unsent message with the one that failed?')) return;
+    updateActiveConversation(removeBranch(activeConv, prompt.id));
+    setInput(prompt.content);
+    setFiles((prompt.files || []).map(file => ({ ...file, ...describeAttachment(file) })));
+  };
+
+  const switchBranch = (message, offset) => {
+    const { siblings, index } = getSiblings(activeConv, message);
+    const target = siblings[index + offset];
+    if (!target) return;
+    setConversations(prev => prev.map(conv =>
+      conv.id === activeConvId ? selectBranch(conv, target.id) : conv
+    ));
+  };
+
+  const updateActiveConversation = (patch) => {
+    setConversations(prev => prev.map(conv =>
+      conv.id === activeConvId ? { ...conv, ...patch } : conv
+    ));
+  };
+
+  const setConversationModel = (modelId) => updateActiveConversation({ model: modelId });
+
+  const activePersona = getConversationPersona(activeConv, personas);
+  const activeModel = modelList.models.find(m => m.id === (activeConv?.model || modelList.defaultModel));
+  const settingsSummary = describeGenerationSettings(getGenerationSettings(activeConv, generationDefaults));
+
+  const getModelLabel = (modelId) =>
+    modelList.models.find(m => m.id === modelId)?.label || modelId;
+
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const canDictate = useSyncExternalStore(subscribeNever, isDictationSupported, () => false);
+  const canReadAloud = useSyncExternalStore(subscribeNever, isSpeechSynthesisSupported, () => false);
+
+  // Dictation adds to what's already typed, with interim words shown as they come
+  const toggleDictation = () => {
+    if (stopDictationRef.current) {
+      stopDictationRef.current();
+      return;
+    }
+
+    const typed = input.trimEnd();
+    const prefix = typed ? `${typed} ` : '';
+    stopDictationRef.current = startDictation({
+      onText: (final, interim) => setInput((prefix + final + interim).slice(0, MAX_MESSAGE_LENGTH)),
+      onEnd: (error) => {
+        stopDictationRef.current = null;
+        setListening(false);
+        if (error === 'not-allowed' || error === 'service-not-allowed') {
+          alert('Microphone access is blocked. Allow it in your browser\'s site settings to use voice input.');
+        } else if (error && error !== 'no-speech') {
+          alert(`Voice input stopped: ${error}`);
+        }
+      },
+    });
+    setListening(true);
+  };
+
+  const toggleReadAloud = (message) => {
+    if (speaking?.id === message.id) {
+      stopSpeech();
+      setSpeaking(null);
+      return;
+    }
+    setSpeaking({ id: message.id, paused: false });
+    // Starting another reply cancels this one, which may end after the new one started
+    speak(message.content, speechSettings, () => setSpeaking(prev => prev?.id === message.id ? null : prev));
+  };
+
+  const togglePause = () => {
+    if (speaking.paused) resumeSpeech();
+    else pauseSpeech();
+    setSpeaking(prev => prev && { ...prev, paused: !prev.paused });
+  };
+
+  const stopReadAloud = () => {
+    stopSpeech();
+    setSpeaking(null);
+  };
+
   const createNewConversation = () => {
     const newConv = {
       id: Date.now(),
-      title: 'New Conversation',
-      messages: []
+      title: DEFAULT_TITLE,
+      messages: [],
+      createdAt: Date.now()
     };
     setConversations(prev => [...prev, newConv]);
     setActiveConvId(newConv.id);
     setSidebarOpen(false);
   };
 
+  // Move conversations to the trash, switching away from the open one if needed
+  const trashConversations = (ids, message) => {
+    const now = Date.now();
+    const remaining = conversations.filter(conv => !ids.has(conv.id) && !isTrashed(conv));
+    const fallback = remaining.find(conv => !conv.archived) || remaining[0];
+    const newConv = fallback ? null : { id: now, title: DEFAULT_TITLE, messages: [], createdAt: now };
+
+    setConversations(prev => [
+      ...prev.map(conv => ids.has(conv.id) ? moveToTrash(conv, now) : conv),
+      ...(newConv ? [newConv] : []),
+    ]);
+    if (ids.has(activeConvId)) setActiveConvId((fallback || newConv).id);
+    setUndoAction({ id: now, message, ids, activeConvId });
+  };
+
   const deleteConversation = (id) => {
-    if (conversations.length === 1) return;
-    
-    const filtered = conversations.filter(c => c.id !== id);
-    setConversations(filtered);
-    
-    if (activeConvId === id) {
-      setActiveConvId(filtered[0].id);
-    }
+    const conv = conversations.find(c => c.id === id);
+    trashConversations(new Set([id]), `Moved "${conv.title}" to the trash`);
   };
 
-  const clearAllConversations = () => {
-    const newConv = {
-      id: Date.now(),
-      title: 'New Conversation',
-      messages: []
-    };
-    setConversations([newConv]);
-    setActiveConvId(newConv.id);
+  const clearAllConversations = ({ keepPinned }) => {
+    const ids = new Set(conversations
+      .filter(conv => !isTrashed(conv) && !(keepPinned && conv.pinned && !conv.archived))
+      .map(conv => conv.id));
     setShowDeleteModal(false);
-    
-    try {
-      localStorage.removeItem('chatbot-data');
-    } catch (error) {
-      console.error('Error clearing storage:', error);
-    }
+    if (ids.size === 0) return;
+    trashConversations(ids, `Moved ${ids.size} conversation${ids.size === 1 ? '' : 's'} to the trash`);
+  };
+
+  const restoreConversations = (ids) => {
+    setConversations(prev => prev.map(conv => ids.has(conv.id) ? restoreFromTrash(conv) : conv));
+  };
+
+  const undoDelete = () => {
+    if (!undoAction) return;
+    restoreConversations(undoAction.ids);
+    setActiveConvId(undoAction.activeConvId);
+    setUndoAction(null);
+  };
+
+  const dismissUndo = useCallback(() => setUndoAction(null), []);
+
+  const deleteForever = (ids) => {
+    if (!window.confirm(`Permanently delete ${ids.length === 1 ? 'this conversation' : `${ids.length} conversations`}? This can't be undone.`)) return;
+    const doomed = new Set(ids);
+    setConversations(prev => prev.filter(conv => !doomed.has(conv.id)));
+  };
+
+  const changeTrashRetention = (days) => {
+    setTrashRetentionDays(days);
+    setConversations(prev => prev.some(conv => isExpired(conv, days)) ? prev.filter(conv => !isExpired(conv, days)) : prev);
   };
 
   const handleFileSelect = async (e) => {
     const selected = Array.from(e.target.files || []);
     if (selected.length === 0) return;
 
-    const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-    const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-
-    const validFiles = selected.filter(file => {
-      if (file.size > MAX_FILE_SIZE) {
-        alert(`${file.name} is too large. Maximum size is 10MB.`);
+    let validFiles = selected.filter(file => {
+      const kind = getAttachmentKind(file);
+      if (!kind) {
+        alert(`${file.name} is not a supported file type. Attach images, PDFs, or text and code files.`);
         return false;
       }
-      if (!ALLOWED_TYPES.includes(file.type)) {
-        alert(`${file.name} is not a supported file type. Only images are allowed.`);
+      if (file.size > MAX_ATTACHMENT_BYTES[kind]) {
+        alert(`${file.name} is too large. Maximum size for this type is ${formatBytes(MAX_ATTACHMENT_BYTES[kind])}.`);
         return false;
       }
       return true;
     });
 
+    const slotsLeft = MAX_FILES_PER_MESSAGE - files.length;
+    if (validFiles.length > slotsLeft) {
+      alert(`You can attach up to ${MAX_FILES_PER_MESSAGE} files per message.`);
+      validFiles = validFiles.slice(0, Math.max(0, slotsLeft));
+    }
+
+    let bytesLeft = MAX_MESSAGE_ATTACHMENT_BYTES - files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const fitting = validFiles.filter(file => {
+      if (file.size > bytesLeft) return false;
+      bytesLeft -= file.size;
+      return true;
+    });
+    if (fitting.length < validFiles.length) {
+      alert(`Attachments can add up to ${formatBytes(MAX_MESSAGE_ATTACHMENT_BYTES)} per message.`);
+      validFiles = fitting;
+    }
+
     if (validFiles.length === 0) {
       e.target.value = null;
       return;
@@ -312,13 +1248,19 @@ export default function ChatbotApp() {
       const filesWithData = await Promise.all(validFiles.map(async (file) => {
         try {
           const dataUrl = await readFileAsDataUrl(file);
-          const base64 = dataUrl.split(',')[1];
-          return {
+          const base64 = dataUrl.split(',')[1] || '';
+          const kind = getAttachmentKind(file);
+          // Code files often come with no type or a wrong one (".ts" as video/mp2t)
+          let type = file.type;
+          if (kind === 'pdf') type = 'application/pdf';
+          if (kind === 'text' && !type.startsWith('text/')) type = 'text/plain';
+          const attachment = {
             name: file.name,
-            type: file.type,
+            type,
             size: file.size,
             data: base64,
           };
+          return { ...attachment, ...describeAttachment(attachment) };
         } catch (error) {
           console.error(`Error reading ${file.name}:`, error);
           return null;
@@ -338,13 +1280,37 @@ export default function ChatbotApp() {
     }
   };
 
-  const removeFile = (index) => {
-    setFiles(prev => prev.filter((_, i) => i !== index));
+  const handleExport = async (convs, format) => {
+    try {
+      await downloadConversations(convs, format);
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert(`Couldn't export: ${error.message}`);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files || [];
+    e.target.value = null;
+    if (!file) return;
+
+    try {
+      const { conversations: merged, imported, skipped } = importConversations(await file.text(), conversations);
+      if (imported.length > 0) {
+        setConversations(merged);
+        setActiveConvId(imported[0].id);
+        setSidebarOpen(false);
+      }
+      const skippedNote = skipped > 0 ? ` ${skipped} already in your list ${skipped === 1 ? 'was' : 'were'} skipped.` : '';
+      alert(`Imported ${imported.length} conversation${imported.length === 1 ? '' : 's'}.${skippedNote}`);
+    } catch (error) {
+      console.error('Import failed:', error);
+      alert(error.name === 'ImportError' ? error.message : `Couldn't import: ${error.message}`);
+    }
   };
 
-  const getFileIcon = (type) => {
-    if (type?.startsWith('image/')) return <Image className="w-4 h-4" />;
-    return <FileText className="w-4 h-4" />;
+  const removeFile = (index) => {
+    setFiles(prev => prev.filter((_, i) => i !== index));
   };
 
   if (!storageLoaded) {
@@ -361,6 +1327,73 @@ export default function ChatbotApp() {
         isOpen={showDeleteModal}
         onClose={() => setShowDeleteModal(false)}
         onConfirm={clearAllConversations}
+        pinnedCount={sidebarGroups.pinned.length}
+      />
+      <TrashModal
+        isOpen={showTrashModal}
+        onClose={() => setShowTrashModal(false)}
+        conversations={sidebarGroups.trash}
+        retentionDays={trashRetentionDays}
+        onRetentionChange={changeTrashRetention}
+        onRestore={(id) => restoreConversations(new Set([id]))}
+        onDeleteForever={deleteForever}
+        onEmpty={() => deleteForever(sidebarGroups.trash.map(conv => conv.id))}
+      />
+      <UsageModal
+        isOpen={showUsageModal}
+        onClose={() => setShowUsageModal(false)}
+        entries={usageEntries}
+        budget={usageBudget}
+        budgetStatus={budgetStatus}
+        onBudgetChange={setUsageBudget}
+        onSelectConversation={(id) => {
+          // Trashed conversations still count toward usage but can't be opened
+          if (!sidebarGroups.trash.some(conv => conv.id === id)) setActiveConvId(id);
+          setShowUsageModal(false);
+          setSidebarOpen(false);
+        }}
+      />
+      <SpeechSettingsModal
+        isOpen={showSpeechModal}
+        onClose={() => setShowSpeechModal(false)}
+        settings={speechSettings}
+        onChange={setSpeechSettings}
+      />
+      {showSyncModal && (
+        <ServerSyncModal
+          isOpen
+          onClose={() => setShowSyncModal(false)}
+          settings={serverSync}
+          onChange={changeServerSync}
+          status={syncStatus}
+          onSyncNow={() => syncNowRef.current?.()}
+        />
+      )}
+      {undoAction && (
+        <UndoToast
+          key={undoAction.id}
+          message={undoAction.message}
+          onUndo={undoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
+      <GenerationSettingsModal
+        isOpen={showSettingsModal}
+        onClose={() => setShowSettingsModal(false)}
+        conversation={activeConv}
+        onConversationChange={updateActiveConversation}
+        defaults={generationDefaults}
+        onDefaultsChange={setGenerationDefaults}
+        model={activeModel}
+      />
+      <PersonaModal
+        isOpen={showPersonaModal}
+        onClose={() => setShowPersonaModal(false)}
+        personas={personas}
+        onPersonasChange={setPersonas}
+        conversation={activeConv}
+        onConversationChange={updateActiveConversation}
+        models={modelList.models}
       />
 
       {/* Mobile Overlay */}
@@ -400,38 +1433,128 @@ export default function ChatbotApp() {
             <Trash2 className="w-4 h-4" />
             <span>Clear All</span>
           </button>
+          <div className="flex gap-2">
+            <input
+              type="file"
+              ref={importInputRef}
+              onChange={handleImport}
+              className="hidden"
+              accept="application/json,.json"
+            />
+            <button
+              onClick={() => importInputRef.current?.click()}
+              className="flex-1 flex items-center justify-center gap-2 px-3 py-2 bg-neutral-900 hover:bg-neutral-800 border border-neutral-700 rounded-lg transition-colors text-neutral-400 text-sm"
+              title="Import conversations from a FlashChat JSON export"
+            >
+              <Upload className="w-4 h-4" />
+              <span>Import</span>
+            </button>
+            <div className="flex-1">
+              <ExportMenu
+                onExport={(format) => handleExport(conversations.filter(conv => !isTrashed(conv)), format)}
+                label="Export"
+                title="Export all conversations"
+                align="left"
+                className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-neutral-900 hover:bg-neutral-800 border border-neutral-700 rounded-lg transition-colors text-neutral-400 text-sm"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="px-3 pt-3">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-500 pointer-events-none" />
+            <input
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+              placeholder="Search messages"
+              className="w-full pl-9 pr-3 py-2 bg-neutral-900 border border-neutral-700 rounded-lg text-sm text-neutral-200 placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-neutral-600"
+              aria-label="Search messages"
+            />
+          </div>
         </div>
 
         <div className="flex-1 overflow-y-auto p-3">
-          {conversations.map(conv => (
-            <div
-              key={conv.id}
-              onClick={() => {
-                setActiveConvId(conv.id);
+          {searchQuery.trim() ? (
+            <SearchResults
+              results={searchResults}
+              conversations={conversations}
+              onSelect={openSearchResult}
+            />
+          ) : (
+            <ConversationList
+              groups={sidebarGroups}
+              folders={folders}
+              activeConvId={activeConvId}
+              renamingConvId={renamingConvId}
+              onSelect={(id) => {
+                setActiveConvId(id);
                 setSidebarOpen(false);
               }}
-              className={`group flex items-center gap-2 px-3 py-3 mb-2 rounded-lg cursor-pointer transition-colors ${
-                activeConvId === conv.id 
-                  ? 'bg-neutral-800 border border-neutral-700 text-neutral-100' 
-                  : 'hover:bg-neutral-800/50 text-neutral-400'
-              }`}
-            >
-              <MessageSquare className="w-4 h-4 flex-shrink-0" />
-              <span className="flex-1 truncate text-sm">{conv.title}</span>
-              {conversations.length > 1 && (
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    deleteConversation(conv.id);
-                  }}
-                  className="opacity-0 group-hover:opacity-100 transition-opacity text-neutral-500 hover:text-neutral-300"
-                >
-                  <X className="w-4 h-4" />
-                </button>
-              )}
-            </div>
-          ))}
+              onStartRename={setRenamingConvId}
+              onRename={renameConversation}
+              onRenameDone={() => setRenamingConvId(null)}
+              onUpdate={updateConversation}
+              onDelete={deleteConversation}
+              onFoldersChange={setFolders}
+              onDeleteFolder={deleteFolder}
+            />
+          )}
         </div>
+
+        {(modelList.serverStorage || serverSync.enabled) && (
+          <button
+            onClick={() => setShowSyncModal(true)}
+            className="mx-3 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-neutral-500 hover:bg-neutral-800/50 hover:text-neutral-300 transition-colors"
+          >
+            <Cloud className="w-4 h-4" />
+            <span className="flex-1 text-left">Server sync</span>
+            {serverSync.enabled && syncStatus.error && <AlertTriangle className="w-4 h-4 text-amber-400" />}
+          </button>
+        )}
+        {canReadAloud && (
+          <button
+            onClick={() => setShowSpeechModal(true)}
+            className="mx-3 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-neutral-500 hover:bg-neutral-800/50 hover:text-neutral-300 transition-colors"
+          >
+            <Volume2 className="w-4 h-4" />
+            <span className="flex-1 text-left">Read aloud</span>
+          </button>
+        )}
+        <button
+          onClick={() => setShowUsageModal(true)}
+          className="mx-3 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-neutral-500 hover:bg-neutral-800/50 hover:text-neutral-300 transition-colors"
+        >
+          <BarChart3 className="w-4 h-4" />
+          <span className="flex-1 text-left">Usage</span>
+          {budgetStatus && (
+            <span className={`text-xs tabular-nums ${budgetStatus.fraction >= BUDGET_WARNING_FRACTION ? 'text-amber-400' : ''}`}>
+              {Math.round(budgetStatus.fraction * 100)}%
+            </span>
+          )}
+        </button>
+        <button
+          onClick={() => setShowTrashModal(true)}
+          className="mx-3 mb-2 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-neutral-500 hover:bg-neutral-800/50 hover:text-neutral-300 transition-colors"
+        >
+          <Trash2 className="w-4 h-4" />
+          <span className="flex-1 text-left">Trash</span>
+          {sidebarGroups.trash.length > 0 && (
+            <span className="text-xs tabular-nums">{sidebarGroups.trash.length}</span>
+          )}
+        </button>
+
+        {storageUsage && (
+          <div className="px-4 py-3 border-t border-neutral-800 text-xs text-neutral-500 flex items-center gap-2">
+            <HardDrive className="w-3.5 h-3.5 flex-shrink-0" />
+            <span>
+              {formatBytes(storageUsage.usage)} used
+              {storageUsage.quota > 0 && ` of ${formatBytes(storageUsage.quota)}`}
+            </span>
+          </div>
+        )}
       </div>
 
       {/* Main Chat Area */}
@@ -444,51 +1567,265 @@ export default function ChatbotApp() {
           >
             <Menu className="w-5 h-5" />
           </button>
-          <h1 className="text-lg md:text-xl font-semibold text-neutral-100 truncate">
-            {activeConv?.title || 'Chat'}
+          <h1
+            className="min-w-0 text-lg md:text-xl font-semibold text-neutral-100 truncate cursor-text"
+            onClick={() => activeConv && setRenamingConvId(`header-${activeConv.id}`)}
+            title={activeConv ? 'Click to rename' : undefined}
+          >
+            {activeConv ? (
+              <EditableTitle
+                title={activeConv.title}
+                editing={renamingConvId === `header-${activeConv.id}`}
+                onRename={(title) => renameConversation(activeConv.id, title)}
+                onDone={() => setRenamingConvId(null)}
+                className="block truncate"
+                inputClassName="w-full bg-neutral-800 border border-neutral-600 rounded-lg px-2 py-0.5 text-neutral-100 focus:outline-none focus:ring-2 focus:ring-neutral-600"
+              />
+            ) : 'Chat'}
           </h1>
+          <div className="ml-auto flex items-center gap-2 flex-shrink-0 max-w-[55%]">
+            {activeConv && (
+              <button
+                onClick={() => setShowPersonaModal(true)}
+                className="flex items-center gap-1.5 min-w-0 px-2 py-1.5 hover:bg-neutral-800 rounded-lg transition-colors text-neutral-400 text-xs md:text-sm"
+                title="System prompt and personas"
+              >
+                <UserCog className="w-4 h-4 flex-shrink-0" />
+                <span className="hidden md:inline truncate max-w-[10rem]">
+                  {activePersona?.name || (typeof activeConv.customPrompt === 'string' ? 'Custom prompt' : 'Default')}
+                </span>
+              </button>
+            )}
+            {activeConv && (
+              <button
+                onClick={() => setShowSettingsModal(true)}
+                className="flex items-center gap-1.5 min-w-0 px-2 py-1.5 hover:bg-neutral-800 rounded-lg transition-colors text-neutral-400 text-xs md:text-sm"
+                title="Generation settings"
+              >
+                <SlidersHorizontal className="w-4 h-4 flex-shrink-0" />
+                {settingsSummary && (
+                  <span className="hidden lg:inline truncate max-w-[10rem]">{settingsSummary}</span>
+                )}
+              </button>
+            )}
+            {modelList.models.length > 0 && (
+              <select
+                value={activeConv?.model || modelList.defaultModel || ''}
+                onChange={(e) => setConversationModel(e.target.value)}
+                disabled={isLoading}
+                className="min-w-0 bg-neutral-800 border border-neutral-700 text-neutral-200 text-xs md:text-sm rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-neutral-600 disabled:opacity-50"
+                title="Model for this conversation"
+              >
+                {modelList.models.map(m => (
+                  <option key={m.id} value={m.id}>{m.label}</option>
+                ))}
+              </select>
+            )}
+            {activeConv && (
+              <ExportMenu
+                onExport={(format) => handleExport([activeConv], format)}
+                disabled={activeConv.messages.length === 0}
+                title="Export this conversation"
+                className="p-2 hover:bg-neutral-800 rounded-lg transition-colors text-neutral-400 disabled:opacity-50 disabled:cursor-not-allowed"
+              />
+            )}
+          </div>
         </div>
 
         {/* Messages */}
         <div className="flex-1 overflow-y-auto px-3 md:px-6 py-4 md:py-6">
-          {activeConv?.messages.length === 0 ? (
+          {activePath.length === 0 ? (
             <div className="h-full flex items-center justify-center">
               <div className="text-center px-4">
                 <MessageSquare className="w-12 h-12 md:w-16 md:h-16 text-neutral-700 mx-auto mb-3 md:mb-4" />
                 <h2 className="text-xl md:text-2xl font-semibold text-neutral-200 mb-2">Start a conversation</h2>
-                <p className="text-sm md:text-base text-neutral-500">Send a message or upload an image to begin</p>
+                <p className="text-sm md:text-base text-neutral-500">Send a message or attach a file to begin</p>
               </div>
             </div>
           ) : (
             <div className="max-w-3xl mx-auto space-y-4 md:space-y-6">
-              {activeConv?.messages.map(msg => (
-                <div key={msg.id} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-                  <div className={`max-w-[85%] md:max-w-[80%] ${
-                    msg.role === 'user'
-                      ? 'bg-neutral-700 text-neutral-100 rounded-2xl rounded-tr-sm'
-                      : msg.isError
-                      ? 'bg-red-900/20 text-red-200 rounded-2xl rounded-tl-sm border border-red-800'
-                      : 'bg-neutral-800 text-neutral-100 rounded-2xl rounded-tl-sm border border-neutral-700'
-                  } px-3 md:px-5 py-2.5 md:py-3 shadow-sm text-sm md:text-base`}>
-                    {msg.files && msg.files.length > 0 && (
-                      <div className="mb-3">
-                        {msg.files.map((file, i) => (
-                          file.type?.startsWith('image/') ? (
-                            <ImageAttachment key={i} file={file} />
-                          ) : (
-                            <div key={i} className="flex items-center gap-2 text-sm opacity-90 mb-2">
-                              {getFileIcon(file.type)}
-                              <span className="truncate">{file.name}</span>
+              {activePath.map(msg => {
+                const { index: versionIndex, siblings } = getSiblings(activeConv, msg);
+                const isEditing = editingMessageId === msg.id;
+                const canAct = !isLoading && !rateLimitedUntil;
+
+                return (
+                  <div key={msg.id} id={`message-${msg.id}`} className={`group flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`flex flex-col max-w-[85%] md:max-w-[80%] ${msg.role === 'user' ? 'items-end' : 'items-start'} ${isEditing ? 'w-full' : ''}`}>
+                      <div className={`max-w-full transition-shadow duration-500 ${isEditing ? 'w-full' : ''} ${
+                        msg.id === highlightedMessageId ? 'ring-2 ring-amber-400/70' : ''
+                      } ${
+                        msg.role === 'user'
+                          ? 'bg-neutral-700 text-neutral-100 rounded-2xl rounded-tr-sm'
+                          : msg.isError
+                          ? 'bg-red-900/20 text-red-200 rounded-2xl rounded-tl-sm border border-red-800'
+                          : 'bg-neutral-800 text-neutral-100 rounded-2xl rounded-tl-sm border border-neutral-700'
+                      } px-3 md:px-5 py-2.5 md:py-3 shadow-sm text-sm md:text-base`}>
+                        {msg.files && msg.files.length > 0 && (
+                          <div className="mb-3">
+                            {msg.files.map((file, i) => (
+                              file.type?.startsWith('image/') ? (
+                                <ImageAttachment key={i} file={file} />
+                              ) : (
+                                <div key={i} className="mb-2">
+                                  <AttachmentChip file={file} />
+                                </div>
+                              )
+                            ))}
+                          </div>
+                        )}
+                        {isEditing ? (
+                          <div>
+                            <textarea
+                              value={editDraft}
+                              onChange={(e) => setEditDraft(e.target.value)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter' && !e.shiftKey) {
+                                  e.preventDefault();
+                                  handleEditResend(msg, editDraft);
+                                } else if (e.key === 'Escape') {
+                                  setEditingMessageId(null);
+                                }
+                              }}
+                              maxLength={MAX_MESSAGE_LENGTH}
+                              rows={Math.min(10, Math.max(2, editDraft.split('\n').length))}
+                              className="w-full bg-neutral-800 border border-neutral-600 rounded-lg px-3 py-2 text-neutral-100 focus:outline-none focus:ring-2 focus:ring-neutral-500 resize-y"
+                              autoFocus
+                            />
+                            <div className="mt-2 flex justify-end gap-2 text-sm">
+                              <button
+                                onClick={() => setEditingMessageId(null)}
+                                className="px-3 py-1.5 rounded-lg bg-neutral-800 hover:bg-neutral-600 text-neutral-200"
+                              >
+                                Cancel
+                              </button>
+                              <button
+                                onClick={() => handleEditResend(msg, editDraft)}
+                                disabled={!canAct || (!editDraft.trim() && !msg.files?.length)}
+                                className="px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-white text-neutral-900 font-medium disabled:opacity-50"
+                              >
+                                Send
+                              </button>
                             </div>
-                          )
-                        ))}
+                          </div>
+                        ) : msg.isError && msg.errorCode ? (
+                          <ErrorNotice message={msg} />
+                        ) : (
+                          <>
+                            {msg.toolSteps?.length > 0 && <ToolSteps steps={msg.toolSteps} />}
+                            {hasRichParts(msg.parts) ? <MessageParts parts={msg.parts} /> : <MessageContent content={msg.content} />}
+                          </>
+                        )}
+                        {msg.id === streamingMessageId && (
+                          <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-neutral-400 animate-pulse" />
+                        )}
+                        {msg.role === 'assistant' && msg.model && !msg.isError && (
+                          <div className="mt-2 flex items-center gap-1.5 text-xs text-neutral-500">
+                            <Cpu className="w-3 h-3" />
+                            <span>{getModelLabel(msg.model)}</span>
+                            {msg.fallback && (
+                              <span
+                                className="px-1.5 py-0.5 rounded bg-amber-900/30 text-amber-400 border border-amber-800/50"
+                                title="The selected model was unavailable, so a fallback model answered"
+                              >
+                                fallback
+                              </span>
+                            )}
+                            {msg.usage && (
+                              <span
+                                className="ml-1 tabular-nums"
+                                title={`${formatTokens(msg.usage.promptTokens)} prompt + ${formatTokens(msg.usage.outputTokens)} output tokens`}
+                              >
+                                · {formatTokens(msg.usage.totalTokens)} tokens
+                                {estimateCost(msg.usage, msg.model) > 0 && ` · ${formatCost(estimateCost(msg.usage, msg.model))}`}
+                              </span>
+                            )}
+                          </div>
+                        )}
+                        {(msg.stopped || msg.interrupted || isBlockedFinishReason(msg.finishReason)) && (
+                          <div className="mt-2 text-xs text-neutral-500 italic">
+                            {msg.stopped ? 'Stopped' : msg.interrupted ? 'Response interrupted' : 'Stopped by safety filters'}
+                          </div>
+                        )}
                       </div>
-                    )}
-                    <MessageContent content={msg.content} />
+                      {!isEditing && msg.id !== streamingMessageId && (
+                        <div className="mt-1 flex items-center gap-1 min-h-6">
+                          {siblings.length > 1 && (
+                            <BranchSwitcher
+                              index={versionIndex}
+                              count={siblings.length}
+                              onPrevious={() => switchBranch(msg, -1)}
+                              onNext={() => switchBranch(msg, 1)}
+                              disabled={isLoading}
+                            />
+                          )}
+                          {canAct && msg.role === 'user' && (
+                            <button
+                              onClick={() => {
+                                setEditingMessageId(msg.id);
+                                setEditDraft(msg.content);
+                              }}
+                              className="p-1 rounded text-neutral-500 hover:text-neutral-200 md:opacity-0 md:group-hover:opacity-100 transition-opacity"
+                              title="Edit and resend"
+                            >
+                              <Pencil className="w-3.5 h-3.5" />
+                            </button>
+                          )}
+                          {canAct && msg.finishReason === 'MAX_TOKENS' && msg.id === activePath[activePath.length - 1].id && (
+                            <button
+                              onClick={() => handleContinue(msg)}
+                              className="flex items-center gap-1 px-2 py-0.5 rounded-md border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800"
+                              title="The response hit the output token limit"
+                            >
+                              <ChevronsRight className="w-3.5 h-3.5" />
+                              Continue generating
+                            </button>
+                          )}
+                          {canAct && msg.isError && (
+                            <>
+                              <button
+                                onClick={() => handleRetry(msg)}
+                                className="flex items-center gap-1 px-2 py-0.5 rounded-md border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800"
+                              >
+                                <RotateCcw className="w-3.5 h-3.5" />
+                                Retry
+                              </button>
+                              <button
+                                onClick={() => handleEditFailed(msg)}
+                                className="flex items-center gap-1 px-2 py-0.5 rounded-md border border-neutral-700 text-xs text-neutral-300 hover:bg-neutral-800"
+                              >
+                                <Pencil className="w-3.5 h-3.5" />
+                                Edit &amp; resend
+                              </button>
+                            </>
+                          )}
+                          {canReadAloud && msg.role === 'assistant' && !msg.isError && msg.content && (
+                            <button
+                              onClick={() => toggleReadAloud(msg)}
+                              className={`p-1 rounded hover:text-neutral-200 transition-opacity ${
+                                speaking?.id === msg.id ? 'text-neutral-200' : 'text-neutral-500 md:opacity-0 md:group-hover:opacity-100'
+                              }`}
+                              title={speaking?.id === msg.id ? 'Stop reading' : 'Read aloud'}
+                            >
+                              {speaking?.id === msg.id ? <Square className="w-3.5 h-3.5" /> : <Volume2 className="w-3.5 h-3.5" />}
+                            </button>
+                          )}
+                          {canAct && msg.role === 'assistant' && !msg.isError && (
+                            <button
+                              onClick={() => handleRegenerate(msg)}
+                              className="p-1 rounded text-neutral-500 hover:text-neutral-200 md:opacity-0 md:group-hover:opacity-100 transition-opacity"
+                              title="Regenerate response"
+                            >
+                              <RefreshCw className="w-3.5 h-3.5" />
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
                   </div>
-                </div>
-              ))}
-              {isLoading && (
+                );
+              })}
+              {isLoading && !streamingMessageId && (
                 <div className="flex justify-start">
                   <div className="bg-neutral-800 text-neutral-100 rounded-2xl rounded-tl-sm border border-neutral-700 px-3 md:px-5 py-2.5 md:py-3">
                     <div className="flex items-center gap-2">
@@ -507,6 +1844,70 @@ export default function ChatbotApp() {
         {/* Input Area */}
         <div className="bg-neutral-900 border-t border-neutral-800 p-3 md:p-6">
           <div className="max-w-3xl mx-auto">
+            {syncNotice && (
+              <div className="mb-2 md:mb-3 flex items-start gap-2 px-3 py-2 bg-sky-900/20 border border-sky-800 rounded-lg text-sky-200 text-xs md:text-sm">
+                <GitBranch className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span className="flex-1">{syncNotice}</span>
+                <button
+                  onClick={() => setSyncNotice(null)}
+                  className="text-sky-400 hover:text-sky-200"
+                  aria-label="Dismiss"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+            {storageError && (
+              <div className="mb-2 md:mb-3 flex items-start gap-2 px-3 py-2 bg-amber-900/20 border border-amber-800 rounded-lg text-amber-200 text-xs md:text-sm">
+                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span className="flex-1">{storageError} Recent changes may be lost if you close this tab.</span>
+                <button
+                  onClick={() => setStorageError(null)}
+                  className="text-amber-400 hover:text-amber-200"
+                  aria-label="Dismiss"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
+            {rateLimitedUntil && (
+              <div className="mb-2 md:mb-3 flex items-center gap-2 px-3 py-2 bg-neutral-800 border border-neutral-700 rounded-lg text-neutral-300 text-xs md:text-sm">
+                <Clock className="w-4 h-4 flex-shrink-0 text-neutral-400" />
+                <span>
+                  You&apos;re sending messages too quickly. You can send again in{' '}
+                  <span className="font-semibold tabular-nums">{rateLimitSeconds}s</span>.
+                </span>
+              </div>
+            )}
+
+            {budgetStatus && budgetStatus.fraction >= BUDGET_WARNING_FRACTION && (
+              <div className="mb-2 md:mb-3 flex items-center gap-2 px-3 py-2 bg-amber-900/20 border border-amber-800 rounded-lg text-amber-200 text-xs md:text-sm">
+                <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                <span className="flex-1">
+                  {budgetStatus.fraction >= 1 ? 'Over budget: ' : 'Nearing your budget: '}
+                  {formatBudgetAmount(budgetStatus.spent, budgetStatus.unit)} of{' '}
+                  {formatBudgetAmount(budgetStatus.limit, budgetStatus.unit)} used this {budgetStatus.period}.
+                </span>
+                <button onClick={() => setShowUsageModal(true)} className="text-amber-400 hover:text-amber-200 underline">
+                  View usage
+                </button>
+              </div>
+            )}
+
+            {speaking && (
+              <div className="mb-2 md:mb-3 flex items-center gap-2 px-3 py-2 bg-neutral-800 border border-neutral-700 rounded-lg text-neutral-300 text-xs md:text-sm">
+                <Volume2 className="w-4 h-4 flex-shrink-0 text-neutral-400" />
+                <span className="flex-1">{speaking.paused ? 'Paused' : 'Reading aloud…'}</span>
+                <button onClick={togglePause} className="p-1 text-neutral-400 hover:text-neutral-200" title={speaking.paused ? 'Resume' : 'Pause'}>
+                  {speaking.paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                </button>
+                <button onClick={stopReadAloud} className="p-1 text-neutral-400 hover:text-neutral-200" title="Stop">
+                  <Square className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
             {files.length > 0 && (
               <div className="mb-2 md:mb-3 flex flex-wrap gap-2">
                 {files.map((file, i) => (
@@ -526,16 +1927,7 @@ export default function ChatbotApp() {
                         </button>
                       </div>
                     ) : (
-                      <div className="flex items-center gap-2 bg-neutral-800 rounded-lg px-2 md:px-3 py-1.5 md:py-2 text-xs md:text-sm text-neutral-300 border border-neutral-700">
-                        {getFileIcon(file.type)}
-                        <span className="truncate max-w-[120px] md:max-w-[200px]">{file.name}</span>
-                        <button 
-                          onClick={() => removeFile(i)} 
-                          className="text-neutral-500 hover:text-neutral-300 ml-1"
-                        >
-                          <X className="w-3 h-3 md:w-4 md:h-4" />
-                        </button>
-                      </div>
+                      <AttachmentChip file={file} onRemove={() => removeFile(i)} />
                     )}
                   </div>
                 ))}
@@ -549,18 +1941,32 @@ export default function ChatbotApp() {
                 onChange={handleFileSelect}
                 className="hidden"
                 multiple
-                accept="image/jpeg,image/png,image/gif,image/webp"
+                accept={ACCEPTED_FILE_TYPES}
               />
               
               <button
                 onClick={() => fileInputRef.current?.click()}
                 disabled={isLoading}
                 className="p-2 md:p-3 hover:bg-neutral-800 rounded-xl transition-colors flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
-                title="Attach images"
+                title="Attach images, PDFs or text files"
               >
                 <Paperclip className="w-5 h-5 text-neutral-400" />
               </button>
 
+              {canDictate && (
+                <button
+                  onClick={toggleDictation}
+                  disabled={isLoading}
+                  className={`p-2 md:p-3 rounded-xl transition-colors flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed ${
+                    listening ? 'bg-red-900/40 hover:bg-red-900/60' : 'hover:bg-neutral-800'
+                  }`}
+                  title={listening ? 'Stop voice input' : 'Voice input'}
+                  aria-pressed={listening}
+                >
+                  <Mic className={`w-5 h-5 ${listening ? 'text-red-400 animate-pulse' : 'text-neutral-400'}`} />
+                </button>
+              )}
+
               <textarea
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
@@ -570,41 +1976,36 @@ export default function ChatbotApp() {
                     handleSend();
                   }
                 }}
-                placeholder="Type your message..."
+                placeholder={listening ? 'Listening…' : 'Type your message...'}
+                maxLength={MAX_MESSAGE_LENGTH}
                 disabled={isLoading}
                 rows={1}
                 className="flex-1 resize-none px-3 md:px-4 py-2.5 md:py-3 bg-neutral-800 border border-neutral-700 text-neutral-100 placeholder-neutral-500 rounded-xl focus:outline-none focus:ring-2 focus:ring-neutral-600 focus:border-transparent disabled:opacity-50 disabled:cursor-not-allowed text-sm md:text-base"
                 style={{ minHeight: '44px', maxHeight: '200px' }}
               />
 
-              <button
-                onClick={handleSend}
-                disabled={(!input.trim() && files.length === 0) || isLoading}
-                className="p-2 md:p-3 bg-neutral-700 text-neutral-100 rounded-xl hover:bg-neutral-600 disabled:bg-neutral-800 disabled:text-neutral-600 disabled:cursor-not-allowed transition-colors flex-shrink-0"
-              >
-                {isLoading ? (
-                  <div className="w-5 h-5 border-2 border-neutral-400 border-t-transparent rounded-full animate-spin" />
-                ) : (
+              {isLoading ? (
+                <button
+                  onClick={stopGeneration}
+                  className="p-2 md:p-3 bg-neutral-700 text-neutral-100 rounded-xl hover:bg-neutral-600 transition-colors flex-shrink-0"
+                  title="Stop generating"
+                  aria-label="Stop generating"
+                >
+                  <Square className="w-5 h-5 fill-current" />
+                </button>
+              ) : (
+                <button
+                  onClick={handleSend}
+                  disabled={(!input.trim() && files.length === 0) || !!rateLimitedUntil}
+                  className="p-2 md:p-3 bg-neutral-700 text-neutral-100 rounded-xl hover:bg-neutral-600 disabled:bg-neutral-800 disabled:text-neutral-600 disabled:cursor-not-allowed transition-colors flex-shrink-0"
+                >
                   <Send className="w-5 h-5" />
-                )}
-              </button>
+                </button>
+              )}
             </div>
           </div>
         </div>
       </div>
-      
-      <style jsx>{`
-        .markdown-content strong {
-          font-weight: 700;
-          color: #fafafa;
-        }
-        .markdown-content em {
-          font-style: italic;
-        }
-        .markdown-content a {
-          text-decoration: underline;
-        }
-      `}</style>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+'use client';
+
+import { FileCode, FileText, X } from 'lucide-react';
+import { base64ToBytes, getAttachmentKind } from '@/lib/attachments';
+import { formatBytes } from '@/lib/format';
+
+const describe = (file) => {
+  const details = [];
+  if (file.pages) details.push(`${file.pages} page${file.pages === 1 ? '' : 's'}`);
+  if (file.lines) details.push(`${file.lines} line${file.lines === 1 ? '' : 's'}`);
+  if (file.size) details.push(formatBytes(file.size));
+  return details.join(' · ');
+};
+
+// Open the file in a new tab; browsers download types they can't display
+const openFile = (file) => {
+  const type = getAttachmentKind(file) === 'text' ? 'text/plain;charset=utf-8' : file.type;
+  const url = URL.createObjectURL(new Blob([base64ToBytes(file.data)], { type }));
+  window.open(url, '_blank', 'noopener,noreferrer');
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Chip for a PDF or text attachment, in the composer or on a sent message
+const AttachmentChip = ({ file, onRemove }) => {
+  const Icon = getAttachmentKind(file) === 'pdf' ? FileText : FileCode;
+  const details = describe(file);
+
+  return (
+    <div className="flex items-center gap-2 bg-neutral-800 rounded-lg px-2 md:px-3 py-1.5 md:py-2 text-xs md:text-sm text-neutral-300 border border-neutral-700 max-w-full">
+      <Icon className="w-4 h-4 flex-shrink-0 text-neutral-400" />
+      <div className="min-w-0">
+        {file.data ? (
+          <button
+            onClick={() => openFile(file)}
+            className="block truncate max-w-[160px] md:max-w-[240px] text-left hover:underline"
+            title={`Open ${file.name}`}
+          >
+            {file.name}
+          </button>
+        ) : (
+          <span className="block truncate max-w-[160px] md:max-w-[240px]">{file.name}</span>
+        )}
+        {details && <span className="block text-[11px] text-neutral-500">{details}</span>}
+      </div>
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          className="text-neutral-500 hover:text-neutral-300 ml-1"
+          aria-label={`Remove ${file.name}`}
+        >
+          <X className="w-3 h-3 md:w-4 md:h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentChip;
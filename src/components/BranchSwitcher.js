@@ -0,0 +1,29 @@
+'use client';
+
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// "< 2/3 >" control for flipping between versions of a message
+const BranchSwitcher = ({ index, count, onPrevious, onNext, disabled }) => (
+  <div className="flex items-center text-xs text-neutral-500 tabular-nums">
+    <button
+      onClick={onPrevious}
+      disabled={disabled || index === 0}
+      className="p-0.5 rounded hover:text-neutral-200 disabled:opacity-40 disabled:hover:text-neutral-500"
+      aria-label="Previous version"
+    >
+      <ChevronLeft className="w-4 h-4" />
+    </button>
+    <span>{index + 1}/{count}</span>
+    <button
+      onClick={onNext}
+      disabled={disabled || index === count - 1}
+      className="p-0.5 rounded hover:text-neutral-200 disabled:opacity-40 disabled:hover:text-neutral-500"
+      aria-label="Next version"
+    >
+      <ChevronRight className="w-4 h-4" />
+    </button>
+  </div>
+);
+
+export default BranchSwitcher;
@@ -0,0 +1,329 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Archive,
+  ArchiveRestore,
+  ChevronDown,
+  ChevronRight,
+  Folder,
+  FolderPlus,
+  MessageSquare,
+  MoreHorizontal,
+  Pencil,
+  Pin,
+  PinOff,
+  Trash2,
+} from 'lucide-react';
+import EditableTitle from '@/components/EditableTitle';
+import { createFolder } from '@/lib/conversationGroups';
+
+const titleInputClass = 'w-full bg-neutral-900 border border-neutral-600 rounded px-1.5 py-0.5 text-neutral-100 focus:outline-none focus:ring-1 focus:ring-neutral-500';
+const menuItemClass = 'w-full flex items-center gap-2 text-left px-3 py-1.5 text-sm text-neutral-200 hover:bg-neutral-700';
+
+// Small dropdown menu that closes on any click outside it
+const useDismiss = (open, setOpen) => {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!ref.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open, setOpen]);
+  return ref;
+};
+
+const ConversationMenu = ({ conv, folders, onUpdate, onRename, onDelete }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useDismiss(open, setOpen);
+
+  const act = (action) => (e) => {
+    e.stopPropagation();
+    setOpen(false);
+    action();
+  };
+
+  return (
+    <div ref={menuRef} className="relative flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => setOpen(!open)}
+        className={`p-0.5 rounded text-neutral-500 hover:text-neutral-200 transition-opacity ${
+          open ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'
+        }`}
+        aria-label="Conversation options"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <MoreHorizontal className="w-4 h-4" />
+      </button>
+      {open && (
+        <div role="menu" className="absolute right-0 z-50 mt-1 w-48 py-1 bg-neutral-800 border border-neutral-700 rounded-lg shadow-xl">
+          {!conv.archived && (
+            <button role="menuitem" onClick={act(() => onUpdate(conv.id, { pinned: !conv.pinned }))} className={menuItemClass}>
+              {conv.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
+              {conv.pinned ? 'Unpin' : 'Pin'}
+            </button>
+          )}
+          <button role="menuitem" onClick={act(onRename)} className={menuItemClass}>
+            <Pencil className="w-4 h-4" />
+            Rename
+          </button>
+          {folders.length > 0 && (
+            <>
+              <div className="px-3 pt-2 pb-1 text-[11px] uppercase tracking-wide text-neutral-500">Move to folder</div>
+              {folders.map(folder => (
+                <button
+                  key={folder.id}
+                  role="menuitemradio"
+                  aria-checked={conv.folderId === folder.id}
+                  onClick={act(() => onUpdate(conv.id, { folderId: folder.id, pinned: false }))}
+                  className={`${menuItemClass} ${conv.folderId === folder.id ? 'text-neutral-100 font-medium' : ''}`}
+                >
+                  <Folder className="w-4 h-4" />
+                  <span className="truncate">{folder.name}</span>
+                </button>
+              ))}
+              {conv.folderId && (
+                <button role="menuitem" onClick={act(() => onUpdate(conv.id, { folderId: null }))} className={menuItemClass}>
+                  <span className="w-4" />
+                  No folder
+                </button>
+              )}
+              <div className="my-1 border-t border-neutral-700" />
+            </>
+          )}
+          <button
+            role="menuitem"
+            onClick={act(() => onUpdate(conv.id, conv.archived ? { archived: false } : { archived: true, pinned: false }))}
+            className={menuItemClass}
+          >
+            {conv.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+            {conv.archived ? 'Unarchive' : 'Archive'}
+          </button>
+          <button role="menuitem" onClick={act(() => onDelete(conv.id))} className={`${menuItemClass} text-red-400`}>
+            <Trash2 className="w-4 h-4" />
+            Move to trash
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const SectionLabel = ({ children, className = '' }) => (
+  <div className={`px-3 pt-3 pb-1 text-[11px] font-medium uppercase tracking-wide text-neutral-500 ${className}`}>
+    {children}
+  </div>
+);
+
+/**
+ * The sidebar's conversation list, from `groupConversations`. Conversations
+ * can be dragged onto "Pinned", a folder, or the date-grouped list (to take
+ * them out of a folder).
+ */
+const ConversationList = ({
+  groups,
+  folders,
+  activeConvId,
+  renamingConvId,
+  onSelect,
+  onStartRename,
+  onRename,
+  onRenameDone,
+  onUpdate,
+  onDelete,
+  onFoldersChange,
+  onDeleteFolder,
+}) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [renamingFolderId, setRenamingFolderId] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Props for an element that accepts dropped conversations
+  const dropZone = (target, patch) => ({
+    onDragOver: (e) => {
+      if (draggedId === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (dropTarget !== target) setDropTarget(target);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (draggedId !== null) onUpdate(draggedId, patch);
+      setDraggedId(null);
+      setDropTarget(null);
+    },
+  });
+  const dropHighlight = (target) => (dropTarget === target ? 'ring-1 ring-neutral-500 bg-neutral-800/40' : '');
+
+  const updateFolder = (id, patch) => {
+    onFoldersChange(folders.map(folder => (folder.id === id ? { ...folder, ...patch } : folder)));
+  };
+
+  const addFolder = () => {
+    const folder = createFolder();
+    onFoldersChange([...folders, folder]);
+    setRenamingFolderId(folder.id);
+  };
+
+  const renderConversation = (conv) => (
+    <div
+      key={conv.id}
+      draggable={renamingConvId !== conv.id}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', conv.title);
+        setDraggedId(conv.id);
+      }}
+      onDragEnd={() => {
+        setDraggedId(null);
+        setDropTarget(null);
+      }}
+      onClick={() => onSelect(conv.id)}
+      className={`group flex items-center gap-2 px-3 py-2.5 mb-1 rounded-lg cursor-pointer transition-colors ${
+        activeConvId === conv.id
+          ? 'bg-neutral-800 border border-neutral-700 text-neutral-100'
+          : 'hover:bg-neutral-800/50 text-neutral-400'
+      } ${draggedId === conv.id ? 'opacity-50' : ''}`}
+    >
+      {conv.pinned
+        ? <Pin className="w-4 h-4 flex-shrink-0" />
+        : <MessageSquare className="w-4 h-4 flex-shrink-0" />}
+      <div
+        className="flex-1 min-w-0 text-sm"
+        onDoubleClick={(e) => {
+          e.stopPropagation();
+          onStartRename(conv.id);
+        }}
+      >
+        <EditableTitle
+          title={conv.title}
+          editing={renamingConvId === conv.id}
+          onRename={(title) => onRename(conv.id, title)}
+          onDone={onRenameDone}
+          className="block truncate"
+          inputClassName={titleInputClass}
+        />
+      </div>
+      <ConversationMenu
+        conv={conv}
+        folders={folders}
+        onUpdate={onUpdate}
+        onRename={() => onStartRename(conv.id)}
+        onDelete={onDelete}
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      {(groups.pinned.length > 0 || draggedId !== null) && (
+        <div {...dropZone('pinned', { pinned: true, archived: false })} className={`rounded-lg ${dropHighlight('pinned')}`}>
+          <SectionLabel className="pt-0">Pinned</SectionLabel>
+          {groups.pinned.map(renderConversation)}
+          {groups.pinned.length === 0 && (
+            <p className="px-3 py-2 text-xs text-neutral-500">Drop here to pin</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center pr-1">
+        <SectionLabel className="flex-1">Folders</SectionLabel>
+        <button
+          onClick={addFolder}
+          className="mt-2 p-1 rounded text-neutral-500 hover:text-neutral-200"
+          title="New folder"
+        >
+          <FolderPlus className="w-4 h-4" />
+        </button>
+      </div>
+      {groups.folders.map(({ folder, conversations }) => (
+        <div
+          key={folder.id}
+          {...dropZone(folder.id, { folderId: folder.id, pinned: false, archived: false })}
+          className={`rounded-lg ${dropHighlight(folder.id)}`}
+        >
+          <div className="group flex items-center gap-1.5 px-2 py-1.5 text-sm text-neutral-300">
+            <button
+              onClick={() => updateFolder(folder.id, { collapsed: !folder.collapsed })}
+              className="p-0.5 text-neutral-500 hover:text-neutral-200"
+              aria-label={folder.collapsed ? 'Expand folder' : 'Collapse folder'}
+            >
+              {folder.collapsed ? <ChevronRight className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </button>
+            <Folder className="w-4 h-4 flex-shrink-0 text-neutral-500" />
+            <div className="flex-1 min-w-0" onDoubleClick={() => setRenamingFolderId(folder.id)}>
+              <EditableTitle
+                title={folder.name}
+                editing={renamingFolderId === folder.id}
+                onRename={(name) => updateFolder(folder.id, { name })}
+                onDone={() => setRenamingFolderId(null)}
+                className="block truncate"
+                inputClassName={titleInputClass}
+                label="Folder name"
+              />
+            </div>
+            <span className="text-xs text-neutral-600 tabular-nums">{conversations.length}</span>
+            <button
+              onClick={() => setRenamingFolderId(folder.id)}
+              className="opacity-0 group-hover:opacity-100 p-0.5 text-neutral-500 hover:text-neutral-200"
+              title="Rename folder"
+            >
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => onDeleteFolder(folder)}
+              className="opacity-0 group-hover:opacity-100 p-0.5 text-neutral-500 hover:text-red-400"
+              title="Delete folder (its conversations are kept)"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          {!folder.collapsed && (
+            <div className="pl-3">
+              {conversations.map(renderConversation)}
+              {conversations.length === 0 && (
+                <p className="px-3 pb-2 text-xs text-neutral-600">Drag conversations here</p>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+      {folders.length === 0 && (
+        <p className="px-3 pb-1 text-xs text-neutral-600">Group conversations into folders by dragging them.</p>
+      )}
+
+      <div {...dropZone('chats', { folderId: null, pinned: false, archived: false })} className={`rounded-lg min-h-8 ${dropHighlight('chats')}`}>
+        {groups.dateGroups.map(group => (
+          <div key={group.key}>
+            <SectionLabel>{group.label}</SectionLabel>
+            {group.conversations.map(renderConversation)}
+          </div>
+        ))}
+      </div>
+
+      {groups.archived.length > 0 && (
+        <div className="mt-2 border-t border-neutral-800 pt-2">
+          <button
+            onClick={() => setShowArchived(!showArchived)}
+            className="w-full flex items-center gap-1.5 px-2 py-1.5 text-sm text-neutral-500 hover:text-neutral-300"
+          >
+            {showArchived ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+            <Archive className="w-4 h-4" />
+            <span className="flex-1 text-left">Archived</span>
+            <span className="text-xs tabular-nums">{groups.archived.length}</span>
+          </button>
+          {showArchived && groups.archived.map(renderConversation)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConversationList;
@@ -0,0 +1,48 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+import { MAX_TITLE_LENGTH } from '@/config/limits';
+
+// Mounted fresh for each edit so the draft starts from the current title
+const TitleInput = ({ title, onRename, onDone, className, label }) => {
+  const [draft, setDraft] = useState(title);
+  const finishedRef = useRef(false);
+
+  const finish = (save) => {
+    // Escape is followed by a blur that must not save
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    const next = draft.trim().replace(/\s+/g, ' ');
+    if (save && next && next !== title) onRename(next);
+    onDone();
+  };
+
+  return (
+    <input
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+      }}
+      onBlur={() => finish(true)}
+      onClick={(e) => e.stopPropagation()}
+      onFocus={(e) => e.target.select()}
+      maxLength={MAX_TITLE_LENGTH}
+      aria-label={label}
+      className={className}
+      autoFocus
+    />
+  );
+};
+
+/**
+ * A title that turns into a text field while `editing` is set. Enter or
+ * leaving the field saves, Escape cancels; a blank title is never saved.
+ */
+const EditableTitle = ({ title, editing, onRename, onDone, className, inputClassName, label = 'Conversation title' }) =>
+  editing
+    ? <TitleInput title={title} onRename={onRename} onDone={onDone} className={inputClassName} label={label} />
+    : <span className={className}>{title}</span>;
+
+export default EditableTitle;
@@ -0,0 +1,28 @@
+'use client';
+
+import { AlertTriangle } from 'lucide-react';
+import { describeChatError } from '@/lib/chatErrors';
+
+// Body of a failed reply: what went wrong and what to try, with the server's
+// details tucked away for troubleshooting
+const ErrorNotice = ({ message }) => {
+  const { title, hint } = describeChatError(message.errorCode, message.errorMessage);
+
+  return (
+    <div className="flex items-start gap-2">
+      <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0 text-red-400" />
+      <div className="min-w-0">
+        <p className="font-medium text-red-100">{title}</p>
+        <p className="mt-0.5 text-red-200/90">{hint}</p>
+        {message.errorDetails && (
+          <details className="mt-1.5 text-xs text-red-300/70">
+            <summary className="cursor-pointer select-none">Details ({message.errorCode})</summary>
+            <p className="mt-1 break-words font-mono">{message.errorDetails}</p>
+          </details>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ErrorNotice;
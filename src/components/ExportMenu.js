@@ -0,0 +1,61 @@
+'use client';
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS } from '@/lib/conversationExport';
+
+// Button that opens a small menu of export formats
+const ExportMenu = ({ onExport, label, title, disabled, className = '', align = 'right' }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className={className}
+        title={title}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download className="w-4 h-4" />
+        {label && <span>{label}</span>}
+      </button>
+      {open && (
+        <div
+          role="menu"
+          className={`absolute z-50 mt-1 w-36 py-1 bg-neutral-800 border border-neutral-700 rounded-lg shadow-xl ${
+            align === 'right' ? 'right-0' : 'left-0'
+          }`}
+        >
+          {Object.entries(EXPORT_FORMATS).map(([format, { label: formatLabel }]) => (
+            <button
+              key={format}
+              role="menuitem"
+              onClick={() => {
+                setOpen(false);
+                onExport(format);
+              }}
+              className="w-full text-left px-3 py-1.5 text-sm text-neutral-200 hover:bg-neutral-700"
+            >
+              {formatLabel}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,197 @@
+'use client';
+
+import React, { useState } from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+import {
+  GENERATION_RANGES,
+  MAX_STOP_SEQUENCE_LENGTH,
+  MAX_STOP_SEQUENCES,
+  SAFETY_CATEGORIES,
+  SAFETY_THRESHOLDS,
+} from '@/config/generation';
+
+const inputClass = 'w-full bg-neutral-900 border border-neutral-700 rounded-lg px-3 py-2 text-sm text-neutral-100 placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-neutral-600 disabled:opacity-50';
+
+const NumberField = ({ label, hint, value, onChange, min, max, step }) => (
+  <label className="block text-sm text-neutral-300">
+    <span className="flex items-baseline justify-between">
+      {label}
+      <span className="text-xs text-neutral-500">{hint}</span>
+    </span>
+    <input
+      type="number"
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+      min={min}
+      max={max}
+      step={step}
+      placeholder="Model default"
+      className={`${inputClass} mt-1`}
+    />
+  </label>
+);
+
+/**
+ * Inputs for one set of generation settings. Empty fields fall back to the
+ * model's own defaults. `model` (from /api/models) bounds the output length
+ * and hides settings it doesn't accept.
+ */
+export const GenerationSettingsFields = ({ value, onChange, model }) => {
+  const set = (key, fieldValue) => onChange({ ...value, [key]: fieldValue });
+  const thresholds = new Map((value.safetySettings || []).map(s => [s.category, s.threshold]));
+
+  const setThreshold = (category, threshold) => {
+    const next = (value.safetySettings || []).filter(s => s.category !== category);
+    set('safetySettings', threshold ? [...next, { category, threshold }] : next);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <NumberField
+          label="Temperature"
+          hint={`${GENERATION_RANGES.temperature.min}–${GENERATION_RANGES.temperature.max}`}
+          value={value.temperature}
+          onChange={(v) => set('temperature', v)}
+          {...GENERATION_RANGES.temperature}
+        />
+        <NumberField
+          label="Top-p"
+          hint={`${GENERATION_RANGES.topP.min}–${GENERATION_RANGES.topP.max}`}
+          value={value.topP}
+          onChange={(v) => set('topP', v)}
+          {...GENERATION_RANGES.topP}
+        />
+        {(!model || model.topK) && (
+          <NumberField
+            label="Top-k"
+            hint={`${GENERATION_RANGES.topK.min}–${GENERATION_RANGES.topK.max}`}
+            value={value.topK}
+            onChange={(v) => set('topK', v)}
+            {...GENERATION_RANGES.topK}
+          />
+        )}
+        <NumberField
+          label="Max output tokens"
+          hint={model ? `up to ${model.maxOutputTokens}` : ''}
+          value={value.maxOutputTokens}
+          onChange={(v) => set('maxOutputTokens', v)}
+          min={1}
+          max={model?.maxOutputTokens}
+          step={1}
+        />
+      </div>
+
+      <label className="block text-sm text-neutral-300">
+        <span className="flex items-baseline justify-between">
+          Stop sequences
+          <span className="text-xs text-neutral-500">one per line, up to {MAX_STOP_SEQUENCES}</span>
+        </span>
+        <textarea
+          value={(value.stopSequences || []).join('\n')}
+          onChange={(e) => set(
+            'stopSequences',
+            e.target.value.split('\n').slice(0, MAX_STOP_SEQUENCES).map(line => line.slice(0, MAX_STOP_SEQUENCE_LENGTH))
+          )}
+          rows={2}
+          className={`${inputClass} mt-1 resize-y font-mono`}
+        />
+      </label>
+
+      {(!model || model.safetySettings) && (
+        <div className="space-y-2">
+          <div className="text-sm text-neutral-300">Safety filters</div>
+          {SAFETY_CATEGORIES.map(category => (
+            <label key={category.id} className="flex items-center gap-3 text-sm text-neutral-400">
+              <span className="flex-1">{category.label}</span>
+              <select
+                value={thresholds.get(category.id) || ''}
+                onChange={(e) => setThreshold(category.id, e.target.value)}
+                className="bg-neutral-900 border border-neutral-700 rounded-lg px-2 py-1.5 text-sm text-neutral-200 focus:outline-none focus:ring-2 focus:ring-neutral-600"
+              >
+                <option value="">Model default</option>
+                {SAFETY_THRESHOLDS.map(threshold => (
+                  <option key={threshold.id} value={threshold.id}>{threshold.label}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Edit this conversation's generation settings, or the default used by every
+ * conversation that doesn't override it.
+ */
+const GenerationSettingsModal = ({ isOpen, onClose, conversation, onConversationChange, defaults, onDefaultsChange, model }) => {
+  const [scope, setScope] = useState('conversation');
+
+  if (!isOpen || !conversation) return null;
+
+  const overriding = !!conversation.generationSettings;
+
+  const tabClass = (selected) => `flex-1 px-3 py-1.5 rounded-md text-sm transition-colors ${
+    selected ? 'bg-neutral-700 text-neutral-100' : 'text-neutral-400 hover:text-neutral-200'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-neutral-800 border border-neutral-700 rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center gap-3 p-6 pb-4">
+          <div className="p-2 bg-neutral-700 rounded-lg">
+            <SlidersHorizontal className="w-6 h-6 text-neutral-200" />
+          </div>
+          <h2 className="text-xl font-semibold text-neutral-100 flex-1">Generation settings</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 pb-6 overflow-y-auto space-y-4">
+          <div className="flex gap-1 p-1 bg-neutral-900 rounded-lg">
+            <button onClick={() => setScope('conversation')} className={tabClass(scope === 'conversation')}>
+              This conversation
+            </button>
+            <button onClick={() => setScope('default')} className={tabClass(scope === 'default')}>
+              Default
+            </button>
+          </div>
+
+          {scope === 'conversation' ? (
+            <>
+              <label className="flex items-center gap-2 text-sm text-neutral-300">
+                <input
+                  type="checkbox"
+                  checked={!overriding}
+                  onChange={(e) => onConversationChange({
+                    generationSettings: e.target.checked ? null : { ...defaults },
+                  })}
+                />
+                Use the default settings
+              </label>
+              {overriding && (
+                <GenerationSettingsFields
+                  value={conversation.generationSettings}
+                  onChange={(generationSettings) => onConversationChange({ generationSettings })}
+                  model={model}
+                />
+              )}
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-neutral-500">
+                Used by every conversation that doesn&apos;t have its own settings.
+              </p>
+              <GenerationSettingsFields value={defaults} onChange={onDefaultsChange} model={model} />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenerationSettingsModal;
@@ -0,0 +1,33 @@
+'use client';
+
+import { Download } from 'lucide-react';
+
+// An image on a message: one the user attached, or one the model generated,
+// which can be downloaded
+const ImageAttachment = ({ file, downloadable = false }) => {
+  if (!file.data) return null;
+
+  const imageUrl = `data:${file.type};base64,${file.data}`;
+
+  return (
+    <div className="relative group/image mb-3 rounded-lg overflow-hidden border border-neutral-700">
+      <img 
+        src={imageUrl} 
+        alt={file.name}
+        className="max-w-full h-auto max-h-96 object-contain bg-neutral-900"
+      />
+      {downloadable && (
+        <a
+          href={imageUrl}
+          download={file.name}
+          className="absolute top-2 right-2 p-1.5 rounded-md bg-neutral-900/80 text-neutral-300 hover:text-white md:opacity-0 md:group-hover/image:opacity-100 transition-opacity"
+          title={`Download ${file.name}`}
+        >
+          <Download className="w-4 h-4" />
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default ImageAttachment;
@@ -0,0 +1,95 @@
+'use client';
+
+import React, { useRef, useState } from 'react';
+import ReactMarkdown, { defaultUrlTransform } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import { Check, Copy } from 'lucide-react';
+import 'highlight.js/styles/github-dark.css';
+
+// Only these URL schemes may appear in links and images
+const SAFE_URL = /^(https?:|mailto:|#|\/(?!\/))/i;
+
+// Drop anything that isn't a plain web/mail link (javascript:, data:, vbscript:, ...)
+const safeUrlTransform = (url) => {
+  const transformed = defaultUrlTransform(url);
+  return SAFE_URL.test(transformed) ? transformed : '';
+};
+
+// Pull the highlight.js language out of the <code> element's class list
+const getLanguage = (node) => {
+  const code = node?.children?.find(child => child.tagName === 'code');
+  const classes = code?.properties?.className || [];
+  const langClass = classes.find(c => typeof c === 'string' && c.startsWith('language-'));
+  return langClass ? langClass.slice('language-'.length) : null;
+};
+
+// Fenced code block with a language label and copy-to-clipboard button
+const CodeBlock = ({ node, children }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+  const language = getLanguage(node);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.innerText || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="my-3 rounded-lg border border-neutral-700 overflow-hidden bg-neutral-950">
+      <div className="flex items-center justify-between px-3 py-1.5 bg-neutral-900 border-b border-neutral-700 text-xs text-neutral-400">
+        <span className="font-mono">{language || 'text'}</span>
+        <button
+          onClick={handleCopy}
+          className="flex items-center gap-1 hover:text-neutral-200 transition-colors"
+          aria-label="Copy code"
+        >
+          {copied ? <Check className="w-3.5 h-3.5" /> : <Copy className="w-3.5 h-3.5" />}
+          <span>{copied ? 'Copied' : 'Copy'}</span>
+        </button>
+      </div>
+      <pre ref={preRef} className="overflow-x-auto p-3 text-sm">
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+const components = {
+  pre: CodeBlock,
+  a: ({ node, ...props }) => (
+    <a {...props} target="_blank" rel="noopener noreferrer" />
+  ),
+  table: ({ node, ...props }) => (
+    <div className="overflow-x-auto my-3">
+      <table {...props} />
+    </div>
+  ),
+};
+
+// Render model/user text as GitHub-flavored Markdown. Raw HTML is never rendered
+// and the tree is sanitized before highlighting, so output is safe to show inline.
+const MessageContent = ({ content }) => {
+  if (!content) return null;
+
+  return (
+    <div className="markdown-content">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeSanitize, rehypeHighlight]}
+        urlTransform={safeUrlTransform}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MessageContent;
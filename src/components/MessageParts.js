@@ -0,0 +1,33 @@
+'use client';
+
+import MessageContent from '@/components/MessageContent';
+import ImageAttachment from '@/components/ImageAttachment';
+import { imageFileName, partToMarkdown } from '@/lib/messageParts';
+
+const CODE_LABELS = {
+  code: () => 'Code executed',
+  codeResult: (part) => part.outcome === 'OUTCOME_OK' ? 'Output' : `Output (${part.outcome.replace(/^OUTCOME_/, '').toLowerCase().replace(/_/g, ' ')})`,
+};
+
+// A reply with more than text: text as Markdown, generated images with a
+// download button, and code the model ran followed by its output
+const MessageParts = ({ parts }) => {
+  let images = 0;
+
+  return parts.map((part, i) => {
+    if (part.type === 'image') {
+      const name = imageFileName(part, images++);
+      return <ImageAttachment key={i} file={{ name, type: part.mimeType, data: part.data }} downloadable />;
+    }
+    if (part.type === 'text') return <MessageContent key={i} content={part.text} />;
+
+    return (
+      <div key={i}>
+        <div className="-mb-2 mt-3 text-xs text-neutral-400">{CODE_LABELS[part.type]?.(part) || part.type}</div>
+        <MessageContent content={partToMarkdown(part)} />
+      </div>
+    );
+  });
+};
+
+export default MessageParts;
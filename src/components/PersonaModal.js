@@ -0,0 +1,231 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Copy, Pencil, Plus, Trash2, UserCog, X } from 'lucide-react';
+import { MAX_SYSTEM_PROMPT_LENGTH } from '@/config/limits';
+import { createPersona, duplicatePersona } from '@/lib/personas';
+import { GenerationSettingsFields } from '@/components/GenerationSettingsModal';
+
+const inputClass = 'w-full bg-neutral-900 border border-neutral-700 rounded-lg px-3 py-2 text-sm text-neutral-100 placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-neutral-600';
+
+// Form for creating or editing one persona
+const PersonaForm = ({ persona, models, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(persona);
+
+  return (
+    <div className="space-y-3">
+      <input
+        value={draft.name}
+        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        placeholder="Name, e.g. Code reviewer"
+        maxLength={80}
+        className={inputClass}
+        autoFocus
+      />
+      <div>
+        <textarea
+          value={draft.prompt}
+          onChange={(e) => setDraft({ ...draft, prompt: e.target.value })}
+          placeholder="Instructions for the model, e.g. Review code for bugs and readability. Be direct."
+          maxLength={MAX_SYSTEM_PROMPT_LENGTH}
+          rows={6}
+          className={`${inputClass} resize-y`}
+        />
+        <div className="text-right text-xs text-neutral-500 tabular-nums">
+          {draft.prompt.length}/{MAX_SYSTEM_PROMPT_LENGTH}
+        </div>
+      </div>
+      {models.length > 0 && (
+        <label className="block text-sm text-neutral-400">
+          Default model
+          <select
+            value={draft.model || ''}
+            onChange={(e) => setDraft({ ...draft, model: e.target.value || null })}
+            className={`${inputClass} mt-1`}
+          >
+            <option value="">Keep the conversation&apos;s model</option>
+            {models.map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label className="flex items-center gap-2 text-sm text-neutral-400">
+        <input
+          type="checkbox"
+          checked={!!draft.generationSettings}
+          onChange={(e) => setDraft({ ...draft, generationSettings: e.target.checked ? {} : null })}
+        />
+        Apply generation settings when chosen
+      </label>
+      {draft.generationSettings && (
+        <GenerationSettingsFields
+          value={draft.generationSettings}
+          onChange={(generationSettings) => setDraft({ ...draft, generationSettings })}
+          model={models.find(m => m.id === draft.model)}
+        />
+      )}
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 bg-neutral-700 hover:bg-neutral-600 text-neutral-100 rounded-lg transition-colors text-sm font-medium"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onSave({ ...draft, name: draft.name.trim() || 'Untitled persona' })}
+          disabled={!draft.prompt.trim()}
+          className="px-4 py-2 bg-neutral-100 hover:bg-white text-neutral-900 rounded-lg transition-colors text-sm font-medium disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pick the system prompt for a conversation (none, a saved persona, or a
+ * custom one-off prompt) and manage the persona library.
+ */
+const PersonaModal = ({ isOpen, onClose, personas, onPersonasChange, conversation, onConversationChange, models }) => {
+  const [editing, setEditing] = useState(null);
+
+  if (!isOpen || !conversation) return null;
+
+  const isCustom = !conversation.personaId && typeof conversation.customPrompt === 'string';
+  const activePersonaId = personas.some(p => p.id === conversation.personaId) ? conversation.personaId : null;
+
+  const choosePersona = (persona) => {
+    onConversationChange({
+      personaId: persona.id,
+      customPrompt: null,
+      ...(persona.model && { model: persona.model }),
+      ...(persona.generationSettings && { generationSettings: { ...persona.generationSettings } }),
+    });
+  };
+
+  const savePersona = (persona) => {
+    const exists = personas.some(p => p.id === persona.id);
+    onPersonasChange(exists ? personas.map(p => (p.id === persona.id ? persona : p)) : [...personas, persona]);
+    setEditing(null);
+  };
+
+  const deletePersona = (persona) => {
+    if (!window.confirm(`Delete the persona "${persona.name}"? Conversations using it go back to the default prompt.`)) return;
+    onPersonasChange(personas.filter(p => p.id !== persona.id));
+  };
+
+  const optionClass = (selected) => `w-full text-left px-3 py-2 rounded-lg border transition-colors ${
+    selected
+      ? 'bg-neutral-700 border-neutral-500 text-neutral-100'
+      : 'bg-neutral-900 border-neutral-700 text-neutral-300 hover:bg-neutral-800'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-neutral-800 border border-neutral-700 rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center gap-3 p-6 pb-4">
+          <div className="p-2 bg-neutral-700 rounded-lg">
+            <UserCog className="w-6 h-6 text-neutral-200" />
+          </div>
+          <h2 className="text-xl font-semibold text-neutral-100 flex-1">System prompt</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 pb-6 overflow-y-auto space-y-6">
+          {editing ? (
+            <PersonaForm
+              key={editing.id}
+              persona={editing}
+              models={models}
+              onSave={savePersona}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <>
+              <section className="space-y-2">
+                <h3 className="text-sm font-medium text-neutral-400">This conversation</h3>
+                <button
+                  onClick={() => onConversationChange({ personaId: null, customPrompt: null })}
+                  className={optionClass(!activePersonaId && !isCustom)}
+                >
+                  <div className="text-sm font-medium">Default</div>
+                  <div className="text-xs text-neutral-500">No extra instructions</div>
+                </button>
+                {personas.map(persona => (
+                  <button
+                    key={persona.id}
+                    onClick={() => choosePersona(persona)}
+                    className={optionClass(activePersonaId === persona.id)}
+                  >
+                    <div className="text-sm font-medium truncate">{persona.name}</div>
+                    <div className="text-xs text-neutral-500 truncate">{persona.prompt}</div>
+                  </button>
+                ))}
+                <button
+                  onClick={() => onConversationChange({ personaId: null, customPrompt: conversation.customPrompt || '' })}
+                  className={optionClass(isCustom)}
+                >
+                  <div className="text-sm font-medium">Custom prompt</div>
+                  <div className="text-xs text-neutral-500">Only for this conversation</div>
+                </button>
+                {isCustom && (
+                  <div>
+                    <textarea
+                      value={conversation.customPrompt}
+                      onChange={(e) => onConversationChange({ customPrompt: e.target.value })}
+                      placeholder="Instructions for the model in this conversation"
+                      maxLength={MAX_SYSTEM_PROMPT_LENGTH}
+                      rows={5}
+                      className={`${inputClass} resize-y`}
+                    />
+                    <div className="text-right text-xs text-neutral-500 tabular-nums">
+                      {conversation.customPrompt.length}/{MAX_SYSTEM_PROMPT_LENGTH}
+                    </div>
+                  </div>
+                )}
+              </section>
+
+              <section className="space-y-2">
+                <div className="flex items-center">
+                  <h3 className="text-sm font-medium text-neutral-400 flex-1">Persona library</h3>
+                  <button
+                    onClick={() => setEditing(createPersona())}
+                    className="flex items-center gap-1 text-sm text-neutral-300 hover:text-neutral-100"
+                  >
+                    <Plus className="w-4 h-4" />
+                    New persona
+                  </button>
+                </div>
+                {personas.length === 0 && (
+                  <p className="text-sm text-neutral-500">
+                    Save prompts you use often, like a code reviewer or a terse SQL helper.
+                  </p>
+                )}
+                {personas.map(persona => (
+                  <div key={persona.id} className="flex items-center gap-2 px-3 py-2 bg-neutral-900 border border-neutral-700 rounded-lg">
+                    <span className="flex-1 truncate text-sm text-neutral-200">{persona.name}</span>
+                    <button onClick={() => setEditing(persona)} className="p-1 text-neutral-500 hover:text-neutral-200" title="Edit">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => onPersonasChange([...personas, duplicatePersona(persona)])} className="p-1 text-neutral-500 hover:text-neutral-200" title="Duplicate">
+                      <Copy className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => deletePersona(persona)} className="p-1 text-neutral-500 hover:text-red-400" title="Delete">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PersonaModal;
@@ -0,0 +1,51 @@
+'use client';
+
+import React from 'react';
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime())
+    ? ''
+    : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+// Sidebar list of search hits with highlighted snippets
+const SearchResults = ({ results, conversations, onSelect }) => {
+  if (results.length === 0) {
+    return <p className="px-3 py-6 text-center text-sm text-neutral-500">No messages found</p>;
+  }
+
+  const titles = new Map(conversations.map(conv => [conv.id, conv.title]));
+
+  return (
+    <ul className="space-y-1">
+      {results.map(({ conversationId, message, snippet }) => (
+        <li key={message.id}>
+          <button
+            onClick={() => onSelect(conversationId, message.id)}
+            className="w-full text-left px-3 py-2.5 rounded-lg hover:bg-neutral-800/70 transition-colors"
+          >
+            <div className="text-sm text-neutral-200 truncate">{titles.get(conversationId)}</div>
+            <div className="mt-0.5 flex items-center gap-1.5 text-[11px] text-neutral-500">
+              <span className={message.role === 'user' ? 'text-sky-400' : 'text-emerald-400'}>
+                {message.role === 'user' ? 'You' : 'Assistant'}
+              </span>
+              {message.timestamp && <span>· {formatTime(message.timestamp)}</span>}
+            </div>
+            <p className="mt-1 text-xs text-neutral-400 line-clamp-3 break-words">
+              {snippet.truncatedStart && '…'}
+              {snippet.segments.map((segment, i) => (
+                segment.match
+                  ? <mark key={i} className="bg-amber-500/30 text-amber-200 rounded-sm">{segment.text}</mark>
+                  : <span key={i}>{segment.text}</span>
+              ))}
+              {snippet.truncatedEnd && '…'}
+            </p>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SearchResults;
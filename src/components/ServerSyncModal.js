@@ -0,0 +1,104 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Cloud, RefreshCw, X } from 'lucide-react';
+
+const formatSyncedAt = (time) =>
+  new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Turn syncing with the server's conversation store on or off, with the
+ * access token if the server wants one. Turning it on uploads every local
+ * conversation in the first sync.
+ */
+const ServerSyncModal = ({ isOpen, onClose, settings, onChange, status, onSyncNow }) => {
+  const [tokenDraft, setTokenDraft] = useState(settings.token || '');
+  const [syncing, setSyncing] = useState(false);
+
+  if (!isOpen) return null;
+
+  const syncNow = async () => {
+    setSyncing(true);
+    try {
+      await onSyncNow();
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-neutral-800 border border-neutral-700 rounded-xl shadow-2xl max-w-md w-full p-6">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="p-2 bg-neutral-700 rounded-lg">
+            <Cloud className="w-6 h-6 text-neutral-200" />
+          </div>
+          <h2 className="text-xl font-semibold text-neutral-100 flex-1">Server sync</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-neutral-300 mb-4">
+          Keep your conversations on this server as well as in this browser, so you can continue them on other
+          devices. When the same conversation changed in two places, the most recent version is kept.
+        </p>
+
+        <div className="space-y-4">
+          <label className="flex items-center gap-2 text-sm text-neutral-200">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => onChange({ ...settings, enabled: e.target.checked, token: tokenDraft.trim() })}
+            />
+            Sync conversations with the server
+          </label>
+
+          <label className="block text-sm text-neutral-300">
+            Access token
+            <input
+              type="password"
+              value={tokenDraft}
+              onChange={(e) => setTokenDraft(e.target.value)}
+              onBlur={() => tokenDraft.trim() !== settings.token && onChange({ ...settings, token: tokenDraft.trim() })}
+              placeholder="Only if the server requires one"
+              autoComplete="off"
+              className="mt-1 w-full bg-neutral-900 border border-neutral-700 rounded-lg px-3 py-2 text-sm text-neutral-100 placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-neutral-600"
+            />
+          </label>
+
+          {settings.enabled && (
+            <div className="flex items-center gap-3 text-xs">
+              <span className={`flex-1 ${status.error ? 'text-amber-300' : 'text-neutral-500'}`}>
+                {status.error
+                  ? `Sync failed: ${status.error}`
+                  : status.lastSyncedAt
+                  ? `Last synced ${formatSyncedAt(status.lastSyncedAt)}`
+                  : 'Not synced yet'}
+              </span>
+              <button
+                onClick={syncNow}
+                disabled={syncing}
+                className="flex items-center gap-1 px-2 py-1 rounded-md border border-neutral-700 text-neutral-300 hover:bg-neutral-700 disabled:opacity-50"
+              >
+                <RefreshCw className={`w-3.5 h-3.5 ${syncing ? 'animate-spin' : ''}`} />
+                Sync now
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-6 flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-neutral-100 hover:bg-white text-neutral-900 rounded-lg transition-colors font-medium"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ServerSyncModal;
@@ -0,0 +1,91 @@
+'use client';
+
+import React, { useSyncExternalStore } from 'react';
+import { Volume2, X } from 'lucide-react';
+import { SPEECH_RATE_OPTIONS } from '@/config/speech';
+import { getServerVoices, getVoices, speak, subscribeVoices } from '@/lib/speech';
+
+const SAMPLE_TEXT = 'This is how replies will sound when read aloud.';
+
+const selectClass = 'bg-neutral-900 border border-neutral-700 rounded-lg px-2 py-1.5 text-sm text-neutral-200 focus:outline-none focus:ring-2 focus:ring-neutral-600';
+
+/**
+ * Voice and speed for reading replies aloud. Voices are the browser's own,
+ * so the list differs between browsers and devices.
+ */
+const SpeechSettingsModal = ({ isOpen, onClose, settings, onChange }) => {
+  const voices = useSyncExternalStore(subscribeVoices, getVoices, getServerVoices);
+
+  if (!isOpen) return null;
+
+  // A saved voice from another device falls back to the default
+  const voiceURI = voices.some(voice => voice.voiceURI === settings.voiceURI) ? settings.voiceURI : '';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-neutral-800 border border-neutral-700 rounded-xl shadow-2xl max-w-md w-full p-6">
+        <div className="flex items-center gap-3 mb-4">
+          <div className="p-2 bg-neutral-700 rounded-lg">
+            <Volume2 className="w-6 h-6 text-neutral-200" />
+          </div>
+          <h2 className="text-xl font-semibold text-neutral-100 flex-1">Read aloud</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <label className="flex items-center gap-3 text-sm text-neutral-300">
+            <span className="w-16">Voice</span>
+            <select
+              value={voiceURI}
+              onChange={(e) => onChange({ ...settings, voiceURI: e.target.value || null })}
+              className={`${selectClass} flex-1 min-w-0`}
+            >
+              <option value="">Browser default</option>
+              {voices.map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-3 text-sm text-neutral-300">
+            <span className="w-16">Speed</span>
+            <select
+              value={settings.rate}
+              onChange={(e) => onChange({ ...settings, rate: Number(e.target.value) })}
+              className={selectClass}
+            >
+              {SPEECH_RATE_OPTIONS.map(rate => (
+                <option key={rate} value={rate}>{rate}×</option>
+              ))}
+            </select>
+          </label>
+
+          {voices.length === 0 && (
+            <p className="text-xs text-neutral-500">No voices are available in this browser yet.</p>
+          )}
+        </div>
+
+        <div className="mt-6 flex gap-3 justify-end">
+          <button
+            onClick={() => speak(SAMPLE_TEXT, settings, () => {})}
+            className="px-4 py-2 bg-neutral-700 hover:bg-neutral-600 text-neutral-100 rounded-lg transition-colors font-medium"
+          >
+            Test
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-neutral-100 hover:bg-white text-neutral-900 rounded-lg transition-colors font-medium"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpeechSettingsModal;
@@ -0,0 +1,53 @@
+'use client';
+
+import { Wrench, Loader2, AlertTriangle } from 'lucide-react';
+
+const TOOL_LABELS = {
+  calculator: 'Calculator',
+  current_time: 'Current time',
+  convert_time: 'Time zone conversion',
+  convert_units: 'Unit conversion',
+  search_conversations: 'Conversation search',
+};
+
+const formatJson = (value) => JSON.stringify(value, null, 2);
+
+// One line per argument, e.g. `expression: 2+3*4`
+const summarizeArgs = (args) =>
+  Object.entries(args || {})
+    .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(', ');
+
+// The tool calls the model made while answering, each collapsed to its name
+// and arguments, expanding to the full result
+const ToolSteps = ({ steps }) => (
+  <div className="mb-2 space-y-1">
+    {steps.map(step => (
+      <details key={`${step.round}-${step.id}`} className="rounded-lg border border-neutral-700/70 bg-neutral-900/40 text-xs">
+        <summary className="flex items-center gap-1.5 px-2 py-1 cursor-pointer select-none text-neutral-400">
+          {step.pending ? (
+            <Loader2 className="w-3 h-3 flex-shrink-0 animate-spin" />
+          ) : step.error ? (
+            <AlertTriangle className="w-3 h-3 flex-shrink-0 text-amber-400" />
+          ) : (
+            <Wrench className="w-3 h-3 flex-shrink-0" />
+          )}
+          <span className="font-medium text-neutral-300">{TOOL_LABELS[step.name] || step.name}</span>
+          <span className="truncate font-mono">{summarizeArgs(step.args)}</span>
+        </summary>
+        <div className="px-2 pb-2 space-y-1.5">
+          <pre className="overflow-x-auto whitespace-pre-wrap break-words font-mono text-neutral-400">{formatJson(step.args)}</pre>
+          {step.pending ? (
+            <p className="text-neutral-500 italic">Running…</p>
+          ) : step.error ? (
+            <p className="text-amber-300/90">{step.error}</p>
+          ) : (
+            <pre className="overflow-x-auto whitespace-pre-wrap break-words font-mono text-neutral-200">{formatJson(step.result)}</pre>
+          )}
+        </div>
+      </details>
+    ))}
+  </div>
+);
+
+export default ToolSteps;
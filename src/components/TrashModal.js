@@ -0,0 +1,91 @@
+'use client';
+
+import React from 'react';
+import { ArchiveRestore, Trash2, X } from 'lucide-react';
+import { TRASH_RETENTION_OPTIONS } from '@/config/trash';
+import { daysUntilPurge } from '@/lib/trash';
+
+const formatDeletedAt = (time) =>
+  new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const retentionLabel = (days) =>
+  days === 0 ? 'Never' : `After ${days} day${days === 1 ? '' : 's'}`;
+
+/**
+ * Deleted conversations: restore them, delete them for good, and choose how
+ * long they are kept.
+ */
+const TrashModal = ({ isOpen, onClose, conversations, retentionDays, onRetentionChange, onRestore, onDeleteForever, onEmpty }) => {
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-neutral-800 border border-neutral-700 rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center gap-3 p-6 pb-4">
+          <div className="p-2 bg-neutral-700 rounded-lg">
+            <Trash2 className="w-6 h-6 text-neutral-200" />
+          </div>
+          <h2 className="text-xl font-semibold text-neutral-100 flex-1">Trash</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 pb-6 overflow-y-auto space-y-4">
+          <label className="flex items-center gap-3 text-sm text-neutral-300">
+            <span className="flex-1">Permanently delete conversations in the trash</span>
+            <select
+              value={retentionDays}
+              onChange={(e) => onRetentionChange(Number(e.target.value))}
+              className="bg-neutral-900 border border-neutral-700 rounded-lg px-2 py-1.5 text-sm text-neutral-200 focus:outline-none focus:ring-2 focus:ring-neutral-600"
+            >
+              {TRASH_RETENTION_OPTIONS.map(days => (
+                <option key={days} value={days}>{retentionLabel(days)}</option>
+              ))}
+            </select>
+          </label>
+
+          {conversations.length === 0 ? (
+            <p className="py-6 text-center text-sm text-neutral-500">The trash is empty</p>
+          ) : (
+            <ul className="space-y-2">
+              {conversations.map(conv => {
+                const daysLeft = daysUntilPurge(conv, retentionDays);
+                return (
+                  <li key={conv.id} className="flex items-center gap-2 px-3 py-2 bg-neutral-900 border border-neutral-700 rounded-lg">
+                    <div className="flex-1 min-w-0">
+                      <div className="truncate text-sm text-neutral-200">{conv.title}</div>
+                      <div className="text-xs text-neutral-500">
+                        Deleted {formatDeletedAt(conv.deletedAt)}
+                        {daysLeft !== null && ` · removed in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}
+                      </div>
+                    </div>
+                    <button onClick={() => onRestore(conv.id)} className="p-1 text-neutral-500 hover:text-neutral-200" title="Restore">
+                      <ArchiveRestore className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => onDeleteForever([conv.id])} className="p-1 text-neutral-500 hover:text-red-400" title="Delete forever">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {conversations.length > 0 && (
+            <div className="flex justify-end">
+              <button
+                onClick={onEmpty}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors text-sm font-medium"
+              >
+                Empty Trash
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashModal;
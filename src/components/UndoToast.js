@@ -0,0 +1,35 @@
+'use client';
+
+import React, { useEffect } from 'react';
+import { Undo2, X } from 'lucide-react';
+import { UNDO_TOAST_MS } from '@/config/trash';
+
+// Bottom-of-screen notice with an Undo button; dismisses itself after a
+// while. Give each notice its own `key` so the timer restarts.
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [onDismiss]);
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 pl-4 pr-2 py-2 bg-neutral-800 border border-neutral-700 rounded-lg shadow-2xl text-sm text-neutral-200"
+    >
+      <span>{message}</span>
+      <button
+        onClick={onUndo}
+        className="flex items-center gap-1 px-2 py-1 rounded-md font-medium text-neutral-100 hover:bg-neutral-700"
+      >
+        <Undo2 className="w-4 h-4" />
+        Undo
+      </button>
+      <button onClick={onDismiss} className="p-1 text-neutral-500 hover:text-neutral-300" aria-label="Dismiss">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
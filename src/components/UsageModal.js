@@ -0,0 +1,172 @@
+'use client';
+
+import React, { useState } from 'react';
+import { BarChart3, X } from 'lucide-react';
+import {
+  formatBudgetAmount,
+  formatCost,
+  formatTokens,
+  summarizeUsage,
+  totalUsage,
+} from '@/lib/usage';
+
+const inputClass = 'bg-neutral-900 border border-neutral-700 rounded-lg px-2 py-1.5 text-sm text-neutral-200 focus:outline-none focus:ring-2 focus:ring-neutral-600';
+
+const VIEWS = [
+  { id: 'conversation', label: 'Conversations' },
+  { id: 'model', label: 'Models' },
+  { id: 'day', label: 'Days' },
+];
+
+// Optional soft budget; sending past it asks for confirmation first
+const BudgetForm = ({ budget, status, onChange }) => {
+  // Kept locally so the unit and period stick while the limit is empty
+  const [value, setValue] = useState(budget || { limit: 0, unit: 'usd', period: 'month' });
+  const set = (patch) => {
+    const next = { ...value, ...patch };
+    setValue(next);
+    onChange(next.limit > 0 ? next : null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm text-neutral-300">
+        <span>Warn me after</span>
+        <input
+          type="number"
+          min={0}
+          step={value.unit === 'usd' ? 0.5 : 10000}
+          value={value.limit || ''}
+          onChange={(e) => set({ limit: Math.max(0, Number(e.target.value) || 0) })}
+          placeholder="No budget"
+          className={`${inputClass} w-28`}
+        />
+        <select value={value.unit} onChange={(e) => set({ unit: e.target.value })} className={inputClass}>
+          <option value="usd">dollars</option>
+          <option value="tokens">tokens</option>
+        </select>
+        <span>per</span>
+        <select value={value.period} onChange={(e) => set({ period: e.target.value })} className={inputClass}>
+          <option value="day">day</option>
+          <option value="month">month</option>
+        </select>
+      </div>
+      {status && (
+        <div>
+          <div className="h-1.5 rounded-full bg-neutral-700 overflow-hidden">
+            <div
+              className={`h-full ${status.fraction >= 1 ? 'bg-red-500' : status.fraction >= 0.8 ? 'bg-amber-500' : 'bg-emerald-500'}`}
+              style={{ width: `${Math.min(100, status.fraction * 100)}%` }}
+            />
+          </div>
+          <p className="mt-1 text-xs text-neutral-500">
+            {formatBudgetAmount(status.spent, status.unit)} of {formatBudgetAmount(status.limit, status.unit)} used this {status.period}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Token usage and estimated cost by conversation, model or day, plus the
+ * soft budget setting.
+ */
+const UsageModal = ({ isOpen, onClose, entries, budget, budgetStatus, onBudgetChange, onSelectConversation }) => {
+  const [view, setView] = useState('conversation');
+
+  if (!isOpen) return null;
+
+  const rows = summarizeUsage(entries, view);
+  const total = totalUsage(entries);
+
+  const tabClass = (selected) => `flex-1 px-3 py-1.5 rounded-md text-sm transition-colors ${
+    selected ? 'bg-neutral-700 text-neutral-100' : 'text-neutral-400 hover:text-neutral-200'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-neutral-800 border border-neutral-700 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center gap-3 p-6 pb-4">
+          <div className="p-2 bg-neutral-700 rounded-lg">
+            <BarChart3 className="w-6 h-6 text-neutral-200" />
+          </div>
+          <h2 className="text-xl font-semibold text-neutral-100 flex-1">Usage</h2>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-200" aria-label="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="px-6 pb-6 overflow-y-auto space-y-5">
+          <div className="grid grid-cols-3 gap-3 text-center">
+            <div className="p-3 bg-neutral-900 rounded-lg">
+              <div className="text-lg font-semibold text-neutral-100 tabular-nums">{formatTokens(total.totalTokens)}</div>
+              <div className="text-xs text-neutral-500">tokens</div>
+            </div>
+            <div className="p-3 bg-neutral-900 rounded-lg">
+              <div className="text-lg font-semibold text-neutral-100 tabular-nums">{formatCost(total.cost)}</div>
+              <div className="text-xs text-neutral-500">estimated cost</div>
+            </div>
+            <div className="p-3 bg-neutral-900 rounded-lg">
+              <div className="text-lg font-semibold text-neutral-100 tabular-nums">{entries.length}</div>
+              <div className="text-xs text-neutral-500">replies</div>
+            </div>
+          </div>
+
+          <section className="space-y-2">
+            <h3 className="text-sm font-medium text-neutral-400">Budget</h3>
+            <BudgetForm budget={budget} status={budgetStatus} onChange={onBudgetChange} />
+          </section>
+
+          <div className="flex gap-1 p-1 bg-neutral-900 rounded-lg">
+            {VIEWS.map(({ id, label }) => (
+              <button key={id} onClick={() => setView(id)} className={tabClass(view === id)}>
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="py-6 text-center text-sm text-neutral-500">
+              No usage recorded yet. Token counts are saved with each new reply.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-neutral-500">
+                  <th className="pb-2 font-medium">{VIEWS.find(v => v.id === view).label.replace(/s$/, '')}</th>
+                  <th className="pb-2 font-medium text-right">Prompt</th>
+                  <th className="pb-2 font-medium text-right">Output</th>
+                  <th className="pb-2 font-medium text-right">Total</th>
+                  <th className="pb-2 font-medium text-right">Cost</th>
+                </tr>
+              </thead>
+              <tbody className="text-neutral-300 tabular-nums">
+                {rows.map(row => (
+                  <tr key={row.id} className="border-t border-neutral-700/60">
+                    <td className="py-1.5 pr-2 max-w-[14rem] truncate">
+                      {view === 'conversation' ? (
+                        <button onClick={() => onSelectConversation(row.id)} className="truncate hover:text-neutral-100 hover:underline">
+                          {row.label}
+                        </button>
+                      ) : row.label}
+                    </td>
+                    <td className="py-1.5 text-right">{formatTokens(row.promptTokens)}</td>
+                    <td className="py-1.5 text-right">{formatTokens(row.outputTokens)}</td>
+                    <td className="py-1.5 text-right">{formatTokens(row.totalTokens)}</td>
+                    <td className="py-1.5 text-right">{formatCost(row.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="text-xs text-neutral-500">
+            Costs are estimates from the price table in <code>src/config/pricing.js</code>. Title generation isn&apos;t counted.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UsageModal;
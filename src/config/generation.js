@@ -0,0 +1,26 @@
+// Generation settings offered in the UI and accepted by /api/chat. Output
+// length is limited per model by `maxOutputTokens` in src/config/models.js.
+
+export const GENERATION_RANGES = {
+  temperature: { min: 0, max: 2, step: 0.05 },
+  topP: { min: 0, max: 1, step: 0.05 },
+  topK: { min: 1, max: 500, step: 1 },
+};
+
+export const MAX_STOP_SEQUENCES = 5;
+export const MAX_STOP_SEQUENCE_LENGTH = 100;
+
+// Gemini harm categories and block thresholds (other providers ignore these)
+export const SAFETY_CATEGORIES = [
+  { id: "HARM_CATEGORY_HARASSMENT", label: "Harassment" },
+  { id: "HARM_CATEGORY_HATE_SPEECH", label: "Hate speech" },
+  { id: "HARM_CATEGORY_SEXUALLY_EXPLICIT", label: "Sexually explicit" },
+  { id: "HARM_CATEGORY_DANGEROUS_CONTENT", label: "Dangerous content" },
+];
+
+export const SAFETY_THRESHOLDS = [
+  { id: "BLOCK_NONE", label: "Block none" },
+  { id: "BLOCK_ONLY_HIGH", label: "Block few" },
+  { id: "BLOCK_MEDIUM_AND_ABOVE", label: "Block some" },
+  { id: "BLOCK_LOW_AND_ABOVE", label: "Block most" },
+];
@@ -0,0 +1,30 @@
+// Request limits shared by the chat UI (early feedback) and /api/chat
+// (enforcement). The server is the source of truth; keep the two in sync by
+// importing from here.
+
+export const MAX_BODY_BYTES = 50 * 1024 * 1024;
+// Whole conversations, attachments included, uploaded to /api/conversations
+export const MAX_CONVERSATION_BODY_BYTES = 200 * 1024 * 1024;
+export const MAX_MESSAGE_LENGTH = 32000;
+export const MAX_FILES_PER_MESSAGE = 5;
+// All of one message's attachments together, decoded. Base64 adds a third,
+// which leaves room under MAX_BODY_BYTES for the rest of the request.
+export const MAX_MESSAGE_ATTACHMENT_BYTES = 30 * 1024 * 1024;
+export const MAX_HISTORY_MESSAGES = 100;
+// History messages longer than this are clipped before reaching the model
+export const MAX_HISTORY_MESSAGE_LENGTH = 100000;
+// Persona or custom system prompt, appended to the built-in formatting instruction
+export const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+// Conversation titles, whether typed or generated
+export const MAX_TITLE_LENGTH = 80;
+// How much of the first exchange /api/title reads
+export const MAX_TITLE_SOURCE_LENGTH = 4000;
+
+export const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+// Largest attachment accepted per kind (see src/lib/attachments.js)
+export const MAX_ATTACHMENT_BYTES = {
+  image: 10 * 1024 * 1024,
+  pdf: 20 * 1024 * 1024,
+  text: 1024 * 1024,
+};
@@ -0,0 +1,81 @@
+// Model catalog per provider. Order is the fallback chain: when a model fails
+// the chat route moves on to the next one that can handle the request.
+//
+//   id               Model name sent to the provider
+//   label            Name shown in the model picker
+//   vision           Accepts image inputs
+//   documents        Accepts inline PDF documents
+//   systemInstruction  Accepts a system instruction (otherwise it's inlined)
+//   maxInputTokens   Context window
+//   maxOutputTokens  Largest response the model can produce
+//   topK             Accepts the top-k sampling setting
+//   safetySettings   Accepts per-category safety thresholds
+//   tools            Supports function calling (see src/lib/tools)
+
+export const DEFAULT_CAPABILITIES = {
+  vision: false,
+  documents: false,
+  systemInstruction: true,
+  maxInputTokens: 8192,
+  maxOutputTokens: 4096,
+  topK: false,
+  safetySettings: false,
+  tools: false,
+};
+
+// Capabilities shared by every model of a provider
+export const PROVIDER_CAPABILITIES = {
+  gemini: { topK: true, safetySettings: true, tools: true },
+  mock: { topK: true, safetySettings: true, tools: true },
+};
+
+export const MODEL_CATALOG = {
+  gemini: [
+    {
+      id: "gemini-3-flash-preview",
+      label: "Gemini 3 Flash (preview)",
+      vision: true,
+      documents: true,
+      maxInputTokens: 1048576,
+      maxOutputTokens: 65536,
+    },
+    {
+      id: "gemini-2.5-flash",
+      label: "Gemini 2.5 Flash",
+      vision: true,
+      documents: true,
+      maxInputTokens: 1048576,
+      maxOutputTokens: 65536,
+    },
+    {
+      id: "gemini-2.5-flash-lite",
+      label: "Gemini 2.5 Flash-Lite",
+      vision: true,
+      documents: true,
+      maxInputTokens: 1048576,
+      maxOutputTokens: 65536,
+    },
+    {
+      id: "gemma-3-27b-it",
+      label: "Gemma 3 27B",
+      vision: true,
+      systemInstruction: false,
+      tools: false,
+      maxInputTokens: 131072,
+      maxOutputTokens: 8192,
+    },
+  ],
+
+  // Models served through LLM_PROVIDER=openai are listed in OPENAI_MODELS;
+  // entries here only add capabilities for names that appear there.
+  openai: [
+    { id: "gpt-4o-mini", label: "GPT-4o mini", vision: true, documents: true, tools: true, maxInputTokens: 128000, maxOutputTokens: 16384 },
+    { id: "gpt-4o", label: "GPT-4o", vision: true, documents: true, tools: true, maxInputTokens: 128000, maxOutputTokens: 16384 },
+    { id: "llava", label: "LLaVA", vision: true },
+  ],
+
+  mock: [
+    { id: "mock-model", label: "Mock", vision: true, documents: true, maxInputTokens: 32768, maxOutputTokens: 2048 },
+    { id: "mock-model-lite", label: "Mock Lite", maxInputTokens: 8192, maxOutputTokens: 1024 },
+  ],
+};
@@ -0,0 +1,18 @@
+// Estimated prices in US dollars per million tokens, used for the cost
+// column in the usage view and for dollar budgets. These are list prices at
+// the time of writing; check your provider's pricing page and edit as
+// needed. Models without an entry show token counts but no cost.
+
+export const MODEL_PRICES = {
+  "gemini-3-flash-preview": { input: 0.5, output: 3 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemma-3-27b-it": { input: 0, output: 0 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "mock-model": { input: 0, output: 0 },
+  "mock-model-lite": { input: 0, output: 0 },
+};
+
+// Warn once spending reaches this share of the budget
+export const BUDGET_WARNING_FRACTION = 0.8;
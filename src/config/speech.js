@@ -0,0 +1,9 @@
+// Read-aloud settings. The voice is one of the browser's speechSynthesis
+// voices, by URI; null uses the browser's default for the page language.
+
+export const SPEECH_RATE_OPTIONS = [0.75, 1, 1.25, 1.5, 1.75, 2];
+export const DEFAULT_SPEECH_SETTINGS = { voiceURI: null, rate: 1 };
+
+// Long utterances are cut off silently in some browsers, so replies are read
+// in pieces of at most this many characters
+export const MAX_UTTERANCE_CHARS = 220;
@@ -0,0 +1,6 @@
+// Server sync timing (see src/lib/serverSync.js). The client syncs on this
+// interval while the tab is visible, when it regains focus, and shortly after
+// local changes are saved.
+
+export const SERVER_SYNC_INTERVAL_MS = 30 * 1000;
+export const SERVER_SYNC_DEBOUNCE_MS = 2000;
@@ -0,0 +1,18 @@
+// Function calling (see src/lib/tools). The model may call tools for up to
+// MAX_TOOL_ROUNDS rounds per reply; after that it has to answer with what it
+// has.
+
+export const MAX_TOOL_ROUNDS = 5;
+
+// Tool calls run in one round; calls past this are answered with an error
+// instead, since every call needs a response
+export const MAX_CALLS_PER_ROUND = 8;
+
+// Tool steps a continued request may carry, refused calls included
+export const MAX_TOOL_STEPS = 100;
+
+// Longest tool result (as JSON) sent back to the model
+export const MAX_TOOL_RESULT_CHARS = 4000;
+
+// Matches returned by the past-conversation search tool
+export const CONVERSATION_SEARCH_LIMIT = 5;
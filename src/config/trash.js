@@ -0,0 +1,8 @@
+// How long deleted conversations stay in the trash before they are removed
+// for good. The user picks one of the options; 0 means never.
+
+export const TRASH_RETENTION_OPTIONS = [1, 7, 30, 90, 0];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How long the "Undo" toast stays up after a delete
+export const UNDO_TOAST_MS = 8000;
@@ -0,0 +1,110 @@
+// Attachment kinds shared by the chat UI and /api/chat.
+//
+//   image  Sent to the model as inline image data
+//   pdf    Sent to the model as an inline document
+//   text   Logs, CSVs, configs and source code; decoded and sent as a fenced
+//          text block with the filename
+
+import { ALLOWED_IMAGE_TYPES } from '@/config/limits';
+
+// Extension -> language tag used for the code fence (and highlighting)
+export const TEXT_FILE_LANGUAGES = {
+  txt: 'text', log: 'text', md: 'markdown', markdown: 'markdown',
+  csv: 'csv', tsv: 'tsv', json: 'json', jsonl: 'json', xml: 'xml',
+  yaml: 'yaml', yml: 'yaml', toml: 'toml', ini: 'ini', env: 'ini', conf: 'ini', cfg: 'ini',
+  html: 'html', htm: 'html', css: 'css', scss: 'scss', less: 'less',
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx',
+  ts: 'typescript', tsx: 'tsx', py: 'python', rb: 'ruby', php: 'php',
+  java: 'java', kt: 'kotlin', kts: 'kotlin', scala: 'scala', groovy: 'groovy',
+  go: 'go', rs: 'rust', c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp',
+  cs: 'csharp', swift: 'swift', m: 'objectivec', dart: 'dart', lua: 'lua',
+  r: 'r', jl: 'julia', pl: 'perl', ex: 'elixir', exs: 'elixir', erl: 'erlang',
+  hs: 'haskell', clj: 'clojure', sql: 'sql', graphql: 'graphql', gql: 'graphql',
+  sh: 'bash', bash: 'bash', zsh: 'bash', fish: 'bash', ps1: 'powershell', bat: 'dos',
+  dockerfile: 'dockerfile', makefile: 'makefile', gradle: 'groovy', tf: 'hcl',
+  vue: 'html', svelte: 'html', diff: 'diff', patch: 'diff', proto: 'protobuf',
+};
+
+const TEXT_MIME_TYPES = [
+  'application/json', 'application/xml', 'application/javascript',
+  'application/x-javascript', 'application/typescript', 'application/x-sh',
+  'application/sql', 'application/x-yaml', 'application/yaml', 'application/toml',
+];
+
+const getExtension = (name = '') => {
+  const base = name.split('/').pop().toLowerCase();
+  // Dotless names like "Dockerfile" or "Makefile" are their own extension
+  return base.includes('.') ? base.split('.').pop() : base;
+};
+
+/**
+ * Classify an attachment as 'image', 'pdf' or 'text', or null if unsupported.
+ * Browsers report empty or misleading types for many code files (".ts" is
+ * "video/mp2t"), so the extension wins for text files.
+ */
+export const getAttachmentKind = ({ name, type }) => {
+  if (ALLOWED_IMAGE_TYPES.includes(type)) return 'image';
+  if (type === 'application/pdf' || getExtension(name) === 'pdf') return 'pdf';
+  if (getExtension(name) in TEXT_FILE_LANGUAGES) return 'text';
+  if (type?.startsWith('text/') || TEXT_MIME_TYPES.includes(type)) return 'text';
+  return null;
+};
+
+export const getTextLanguage = (name) => TEXT_FILE_LANGUAGES[getExtension(name)] || 'text';
+
+// Value for the file input's `accept` attribute
+export const ACCEPTED_FILE_TYPES = [
+  ...ALLOWED_IMAGE_TYPES,
+  'application/pdf',
+  'text/*',
+  ...TEXT_MIME_TYPES,
+  ...Object.keys(TEXT_FILE_LANGUAGES).map(ext => `.${ext}`),
+].join(',');
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Strict UTF-8 decode; null for binary data (invalid UTF-8 or NUL bytes)
+export const decodeText = (bytes) => {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return text.includes('\u0000') ? null : text;
+  } catch {
+    return null;
+  }
+};
+
+export const countLines = (text) => (text ? text.split(/\r\n|\r|\n/).length : 0);
+
+// Rough page count from the page objects in the PDF (not the /Pages tree nodes)
+export const countPdfPages = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return (binary.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+};
+
+/**
+ * Page or line count shown on an attachment chip. Expects base64 `data`;
+ * returns {} for images or when the data can't be read.
+ */
+export const describeAttachment = (file) => {
+  const kind = getAttachmentKind(file);
+  if (!file.data || (kind !== 'pdf' && kind !== 'text')) return {};
+
+  try {
+    const bytes = base64ToBytes(file.data);
+    if (kind === 'pdf') return { pages: countPdfPages(bytes) || undefined };
+    const text = decodeText(bytes);
+    return text === null ? {} : { lines: countLines(text) };
+  } catch {
+    return {};
+  }
+};
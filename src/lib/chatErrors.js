@@ -0,0 +1,83 @@
+// What to tell the user about a failed reply. The chat route answers with an
+// error `code` (see src/lib/providers/errors.js); failed replies are stored as
+// assistant messages with `isError`, `errorCode`, and the server's message and
+// details as `errorMessage` and `errorDetails`.
+
+const ERROR_MESSAGES = {
+  RATE_LIMITED: {
+    title: 'Too many requests',
+    hint: 'The model is receiving too many requests right now. Wait a moment and retry.',
+  },
+  QUOTA_EXCEEDED: {
+    title: 'Quota used up',
+    hint: 'The usage quota for this model has run out. Try another model, or retry later.',
+  },
+  AUTH: {
+    title: 'Authentication failed',
+    hint: 'The server’s API key was rejected. Check the key in its environment settings.',
+  },
+  MODEL_NOT_FOUND: {
+    title: 'Model unavailable',
+    hint: 'The provider doesn’t offer this model. Pick another model and retry.',
+  },
+  CONTEXT_TOO_LONG: {
+    title: 'Conversation too long',
+    hint: 'This conversation is too long for the model. Remove attachments, start a new conversation, or pick a model with a larger context.',
+  },
+  SAFETY_BLOCKED: {
+    title: 'Blocked by safety filters',
+    hint: 'The model declined to answer. Rephrase the message, or loosen the safety settings for this conversation.',
+  },
+  RECITATION: {
+    title: 'Blocked for recitation',
+    hint: 'The answer would have repeated copyrighted material. Try asking for a summary instead.',
+  },
+  EMPTY_RESPONSE: {
+    title: 'Empty response',
+    hint: 'The model finished without saying anything. Retrying usually helps.',
+  },
+  TIMEOUT: {
+    title: 'Timed out',
+    hint: 'The model took too long to respond. Retry, or try a faster model.',
+  },
+  UPSTREAM_UNAVAILABLE: {
+    title: 'Provider unavailable',
+    hint: 'The model provider can’t be reached right now. Retry in a little while.',
+  },
+  NETWORK: {
+    title: 'Connection lost',
+    hint: 'Couldn’t reach the server. Check your connection and retry.',
+  },
+};
+
+const GENERIC_ERROR = {
+  title: 'Something went wrong',
+  hint: 'The reply couldn’t be generated. Retry, or edit the message and resend it.',
+};
+
+/**
+ * Title and advice for an error code. Codes without their own message (such
+ * as request validation failures) use the server's message as the hint.
+ */
+export const describeChatError = (code, serverMessage) =>
+  ERROR_MESSAGES[code] || { ...GENERIC_ERROR, ...(serverMessage && { hint: serverMessage }) };
+
+// An Error carrying the route's code, thrown and caught within a request
+export const chatError = (message, code, details) =>
+  Object.assign(new Error(message), { code, details });
+
+/** The assistant message stored in place of a reply that failed. */
+export const toErrorMessage = (error, base) => {
+  const code = error.code || 'UNKNOWN';
+  const { title, hint } = describeChatError(code, error.message);
+  return {
+    ...base,
+    role: 'assistant',
+    // Plain text, so search and exports still make sense
+    content: `${title}. ${hint}`,
+    isError: true,
+    errorCode: code,
+    errorMessage: error.message,
+    ...(error.details && { errorDetails: error.details }),
+  };
+};
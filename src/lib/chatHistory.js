@@ -0,0 +1,269 @@
+// Turns the client's conversation history into multi-turn Gemini contents,
+// keeping the request inside a token budget.
+
+import {
+  countPdfPages,
+  decodeText,
+  getAttachmentKind,
+  getTextLanguage,
+} from "@/lib/attachments";
+
+// Rough budget for everything we replay to the model (history + new turn)
+// when the caller doesn't pass one; the chat route derives it per model from
+// `maxInputTokens` (getContextBudget in src/lib/models.js)
+export const CONTEXT_TOKEN_BUDGET = 24000;
+
+// Budget for the recap that stands in for turns we had to drop
+const SUMMARY_TOKEN_BUDGET = 800;
+const SUMMARY_SNIPPET_LENGTH = 160;
+
+// Gemini bills a fixed amount per image regardless of size, and per PDF page
+const IMAGE_TOKEN_COST = 258;
+const PDF_PAGE_TOKEN_COST = 258;
+
+// ~4 characters per token is close enough for English text and code
+export const estimateTextTokens = (text) => Math.ceil((text || "").length / 4);
+
+// Token estimates for inline documents, keyed by part object (parts are sent
+// to the provider as-is, so the estimate can't live on the part itself)
+const inlineTokenEstimates = new WeakMap();
+
+const estimatePartTokens = (part) => {
+  if (part.text) return estimateTextTokens(part.text);
+  if (part.inlineData) return inlineTokenEstimates.get(part) ?? IMAGE_TOKEN_COST;
+  return 0;
+};
+
+export const estimateContentTokens = (content) =>
+  content.parts.reduce((sum, part) => sum + estimatePartTokens(part), 0);
+
+// Strip an optional data URL prefix and whitespace from base64 data
+export const normalizeBase64 = (data) => {
+  if (typeof data !== "string") return null;
+  let base64Data = data;
+  if (base64Data.includes(",")) {
+    base64Data = base64Data.split(",")[1];
+  }
+  base64Data = base64Data.replace(/\s+/g, "");
+  return base64Data || null;
+};
+
+// Decoded size in bytes of base64 data (with or without a data URL prefix)
+export const base64ByteLength = (data) => {
+  const base64Data = normalizeBase64(data);
+  if (!base64Data) return 0;
+  const padding = base64Data.endsWith("==") ? 2 : base64Data.endsWith("=") ? 1 : 0;
+  return Math.floor((base64Data.length * 3) / 4) - padding;
+};
+
+// Wrap a text attachment in a fence longer than any backtick run inside it
+const formatTextAttachment = (name, text) => {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(Math.max(3, longestRun + 1));
+  return `Attached file: ${name || "untitled"}\n${fence}${getTextLanguage(name)}\n${text}\n${fence}`;
+};
+
+// Convert attachments into parts: images and PDFs inline, text files as fenced text
+export const filesToParts = (files) => {
+  if (!Array.isArray(files)) return [];
+
+  const parts = [];
+  for (const file of files) {
+    const kind = file?.kind || (file && getAttachmentKind(file));
+    if (!kind) continue;
+
+    // Earlier attachments the client no longer resends
+    if (file.data === undefined) {
+      parts.push({ text: `Attached file: ${file.name || "untitled"} (no longer available)` });
+      continue;
+    }
+
+    const base64Data = normalizeBase64(file.data);
+    if (!base64Data) {
+      console.warn(`Skipping file ${file.name}: no data`);
+      continue;
+    }
+
+    if (kind === "text") {
+      const text = decodeText(Buffer.from(base64Data, "base64"));
+      if (text === null) {
+        console.warn(`Skipping file ${file.name}: not valid text`);
+        continue;
+      }
+      parts.push({ text: formatTextAttachment(file.name, text) });
+      continue;
+    }
+
+    const part = {
+      inlineData: {
+        data: base64Data,
+        mimeType: kind === "pdf" ? "application/pdf" : file.type,
+      },
+    };
+    if (kind === "pdf") {
+      const pages = countPdfPages(Buffer.from(base64Data, "base64"));
+      inlineTokenEstimates.set(part, Math.max(1, pages) * PDF_PAGE_TOKEN_COST);
+    }
+    parts.push(part);
+  }
+  return parts;
+};
+
+// Convert one stored message into a Gemini content, or null if it should not be replayed
+const messageToContent = (msg) => {
+  if (!msg || msg.isError) return null;
+  if (msg.role !== "user" && msg.role !== "assistant") return null;
+
+  const parts = msg.role === "user" ? filesToParts(msg.files) : [];
+  if (typeof msg.content === "string" && msg.content.trim()) {
+    parts.push({ text: msg.content });
+  }
+  if (parts.length === 0) return null;
+
+  return { role: msg.role === "user" ? "user" : "model", parts };
+};
+
+// Gemini expects alternating roles, so fold consecutive same-role turns together
+const mergeConsecutiveRoles = (contents) => {
+  const merged = [];
+  for (const content of contents) {
+    const last = merged[merged.length - 1];
+    if (last && last.role === content.role) {
+      last.parts = [...last.parts, ...content.parts];
+    } else {
+      merged.push({ role: content.role, parts: [...content.parts] });
+    }
+  }
+  return merged;
+};
+
+// Build a short recap of dropped turns so the model keeps the gist of them
+const summarizeDropped = (dropped) => {
+  const lines = [];
+  let tokens = 0;
+
+  for (const content of dropped) {
+    const text = content.parts
+      .filter((part) => part.text)
+      .map((part) => part.text)
+      .join(" ")
+      .replace(/\s+/g, " ")
+      .trim();
+    const attachments = content.parts.filter((part) => part.inlineData).length;
+    if (!text && attachments === 0) continue;
+
+    let snippet = text.length > SUMMARY_SNIPPET_LENGTH
+      ? `${text.slice(0, SUMMARY_SNIPPET_LENGTH)}…`
+      : text;
+    if (attachments > 0) {
+      snippet = `${snippet} [${attachments} attachment${attachments > 1 ? "s" : ""}]`.trim();
+    }
+
+    const line = `- ${content.role === "user" ? "User" : "Assistant"}: ${snippet}`;
+    const lineTokens = estimateTextTokens(line);
+    if (tokens + lineTokens > SUMMARY_TOKEN_BUDGET) break;
+
+    lines.push(line);
+    tokens += lineTokens;
+  }
+
+  if (lines.length === 0) return null;
+
+  return {
+    role: "user",
+    parts: [
+      {
+        text: `(Summary of earlier messages in this conversation that no longer fit in context)\n${lines.join("\n")}`,
+      },
+    ],
+  };
+};
+
+// Prompt used when the user sends attachments without a message
+const defaultPrompt = (parts) => {
+  if (parts.every((part) => part.inlineData?.mimeType?.startsWith("image/"))) {
+    return parts.length > 1 ? "What is in these images?" : "What is in this image?";
+  }
+  return parts.length > 1 ? "Please review the attached files." : "Please review the attached file.";
+};
+
+/**
+ * Build the `contents` array for a chat request.
+ *
+ * Prior turns are replayed with their roles (error bubbles are skipped), and
+ * when the estimated size exceeds `budget` the oldest turns are folded into a
+ * short recap. Images and PDFs in older turns are dropped before any text is.
+ */
+export const buildContents = ({ history, message, files, budget = CONTEXT_TOKEN_BUDGET }) => {
+  const currentParts = filesToParts(files);
+  const prompt =
+    message?.trim() || (currentParts.length > 0 ? defaultPrompt(currentParts) : null);
+  if (prompt) {
+    currentParts.push({ text: prompt });
+  }
+  if (currentParts.length === 0) {
+    return { contents: [], droppedTurns: 0, estimatedTokens: 0 };
+  }
+
+  const current = { role: "user", parts: currentParts };
+  let turns = mergeConsecutiveRoles(
+    (Array.isArray(history) ? history : []).map(messageToContent).filter(Boolean)
+  );
+
+  // The new message is a user turn, so history should end on a model turn
+  while (turns.length > 0 && turns[turns.length - 1].role === "user") {
+    turns.pop();
+  }
+
+  const total = () =>
+    turns.reduce((sum, turn) => sum + estimateContentTokens(turn), 0) +
+    estimateContentTokens(current);
+
+  // First pass: drop images and PDFs from older turns, oldest first
+  for (let i = 0; i < turns.length && total() > budget; i++) {
+    const textOnly = turns[i].parts.filter((part) => !part.inlineData);
+    if (textOnly.length !== turns[i].parts.length) {
+      turns[i] = {
+        ...turns[i],
+        parts: textOnly.length > 0 ? textOnly : [{ text: "[attachment omitted]" }],
+      };
+    }
+  }
+
+  // Second pass: drop whole turns, keeping user/model pairs together
+  const dropped = [];
+  const reserve = () => (dropped.length > 0 ? SUMMARY_TOKEN_BUDGET : 0);
+  while (turns.length > 0 && total() + reserve() > budget) {
+    dropped.push(...turns.splice(0, turns[0].role === "user" && turns.length > 1 ? 2 : 1));
+  }
+
+  // History has to start with a user turn
+  while (turns.length > 0 && turns[0].role !== "user") {
+    dropped.push(turns.shift());
+  }
+
+  const contents = [];
+  const summary = dropped.length > 0 ? summarizeDropped(dropped) : null;
+  if (summary) {
+    contents.push(summary);
+    // Keep roles alternating after the synthetic recap
+    if (turns.length > 0) {
+      contents.push({ role: "model", parts: [{ text: "Understood." }] });
+    }
+  }
+  contents.push(...turns, current);
+
+  const merged = mergeConsecutiveRoles(contents);
+  return {
+    contents: merged,
+    droppedTurns: dropped.length,
+    estimatedTokens: merged.reduce((sum, c) => sum + estimateContentTokens(c), 0),
+  };
+};
+
+// For models without system instruction support, prepend it to the first user turn
+export const withInlineInstruction = (contents, instruction) => {
+  if (!instruction || contents.length === 0) return contents;
+  const [first, ...rest] = contents;
+  return [{ ...first, parts: [{ text: instruction }, ...first.parts] }, ...rest];
+};
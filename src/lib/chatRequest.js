@@ -0,0 +1,270 @@
+// Request contracts for POST /api/chat (body size cap, schema validation and
+// attachment checks) and POST /api/title. Failures are thrown as ChatRequestError with an HTTP
+// status and a machine-readable code.
+
+import { z } from "zod";
+import {
+  MAX_ATTACHMENT_BYTES,
+  MAX_BODY_BYTES,
+  MAX_FILES_PER_MESSAGE,
+  MAX_HISTORY_MESSAGE_LENGTH,
+  MAX_MESSAGE_ATTACHMENT_BYTES,
+  MAX_HISTORY_MESSAGES,
+  MAX_MESSAGE_LENGTH,
+  MAX_SYSTEM_PROMPT_LENGTH,
+  MAX_TITLE_SOURCE_LENGTH,
+} from "@/config/limits";
+import {
+  GENERATION_RANGES,
+  MAX_STOP_SEQUENCE_LENGTH,
+  MAX_STOP_SEQUENCES,
+  SAFETY_CATEGORIES,
+  SAFETY_THRESHOLDS,
+} from "@/config/generation";
+import { MAX_TOOL_ROUNDS, MAX_TOOL_STEPS } from "@/config/tools";
+import { decodeText, getAttachmentKind } from "@/lib/attachments";
+import { base64ByteLength, normalizeBase64 } from "@/lib/chatHistory";
+import { SNIFF_BYTES, sniffMimeType } from "@/lib/fileSniff";
+
+export class ChatRequestError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ChatRequestError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toResponse() {
+    return Response.json(
+      { error: this.message, code: this.code, ...(this.details && { details: this.details }) },
+      { status: this.status }
+    );
+  }
+}
+
+const fileSchema = z.object({
+  name: z.string().max(255),
+  type: z.string().max(100),
+  size: z.number().nonnegative().optional(),
+  data: z.string(),
+});
+
+// Older attachments may come by name only, without their data
+const historyFileSchema = fileSchema.extend({ data: z.string().optional() });
+
+// Long replies (and continued ones) can outgrow the limit after they were
+// stored, so history is clipped rather than refused; MAX_BODY_BYTES bounds the total
+const clipHistoryText = (text) =>
+  text.length > MAX_HISTORY_MESSAGE_LENGTH ? `${text.slice(0, MAX_HISTORY_MESSAGE_LENGTH)}\n\n[truncated]` : text;
+
+const historyMessageSchema = z.object({
+  role: z.enum(["user", "assistant"]),
+  content: z.string().optional().default("").transform(clipHistoryText),
+  files: z.array(historyFileSchema).max(MAX_FILES_PER_MESSAGE).optional(),
+  isError: z.boolean().optional(),
+});
+
+const rangeSchema = ({ min, max }) => z.number().min(min).max(max);
+
+// Checked against the chosen model's output limit in the route
+const generationConfigSchema = z.strictObject({
+  temperature: rangeSchema(GENERATION_RANGES.temperature).optional(),
+  topP: rangeSchema(GENERATION_RANGES.topP).optional(),
+  topK: rangeSchema(GENERATION_RANGES.topK).int().optional(),
+  maxOutputTokens: z.number().int().positive().optional(),
+  stopSequences: z.array(z.string().min(1).max(MAX_STOP_SEQUENCE_LENGTH)).max(MAX_STOP_SEQUENCES).optional(),
+  safetySettings: z.array(z.strictObject({
+    category: z.enum(SAFETY_CATEGORIES.map((category) => category.id)),
+    threshold: z.enum(SAFETY_THRESHOLDS.map((threshold) => threshold.id)),
+  })).max(SAFETY_CATEGORIES.length).optional(),
+});
+
+// One tool call and its outcome (see src/lib/tools)
+const toolStepSchema = z.object({
+  id: z.string().max(100),
+  round: z.number().int().min(1).max(MAX_TOOL_ROUNDS),
+  name: z.string().max(64),
+  args: z.record(z.string(), z.unknown()),
+  result: z.unknown().optional(),
+  error: z.string().max(1000).optional(),
+  signature: z.string().max(20000).optional(),
+});
+
+const chatRequestSchema = z.object({
+  message: z.string().max(MAX_MESSAGE_LENGTH).optional().default(""),
+  files: z.array(fileSchema).max(MAX_FILES_PER_MESSAGE).optional().default([]),
+  conversationHistory: z.array(historyMessageSchema).max(MAX_HISTORY_MESSAGES).optional().default([]),
+  stream: z.boolean().optional().default(false),
+  model: z.string().max(100).optional(),
+  systemPrompt: z.string().max(MAX_SYSTEM_PROMPT_LENGTH).optional(),
+  generationConfig: generationConfigSchema.optional(),
+  // Tool calls made so far in this reply, when continuing after a client-run tool
+  toolSteps: z.array(toolStepSchema).max(MAX_TOOL_STEPS).optional().default([]),
+  // The user's IANA time zone, for the date and time tools
+  timeZone: z.string().max(64).optional(),
+});
+
+// Map the first schema issue to a specific error code
+const toRequestError = (issue) => {
+  const [field] = issue.path;
+  const path = issue.path.join(".");
+
+  if (issue.code === "too_big" && issue.origin === "string" && field === "message") {
+    return new ChatRequestError(400, "MESSAGE_TOO_LONG", `Message is too long. The maximum is ${MAX_MESSAGE_LENGTH} characters.`);
+  }
+  if (issue.code === "too_big" && issue.origin === "array" && issue.path.at(-1) === "files") {
+    return new ChatRequestError(400, "TOO_MANY_FILES", `Too many attachments. The maximum is ${MAX_FILES_PER_MESSAGE} per message.`);
+  }
+  if (issue.code === "too_big" && field === "systemPrompt") {
+    return new ChatRequestError(400, "SYSTEM_PROMPT_TOO_LONG", `System prompt is too long. The maximum is ${MAX_SYSTEM_PROMPT_LENGTH} characters.`);
+  }
+  if (issue.code === "too_big" && field === "conversationHistory") {
+    return new ChatRequestError(400, "HISTORY_TOO_LONG", "Conversation history is too long.", path);
+  }
+  if (field === "generationConfig") {
+    return new ChatRequestError(400, "INVALID_GENERATION_CONFIG", `Invalid generation setting: ${issue.message}`, path);
+  }
+  if (issue.path.at(-1) === "role") {
+    return new ChatRequestError(400, "INVALID_ROLE", "History messages must have role \"user\" or \"assistant\".", path);
+  }
+  return new ChatRequestError(400, "INVALID_REQUEST", `Invalid request: ${issue.message}`, path);
+};
+
+/**
+ * Read the JSON body, refusing anything over MAX_BODY_BYTES without
+ * buffering it all first.
+ */
+export const readJsonBody = async (request, maxBytes = MAX_BODY_BYTES) => {
+  const tooLarge = () =>
+    new ChatRequestError(413, "BODY_TOO_LARGE", `Request is too large. The maximum is ${Math.round(maxBytes / 1024 / 1024)}MB.`);
+
+  const declared = Number(request.headers.get("content-length"));
+  if (declared > maxBytes) throw tooLarge();
+  if (!request.body) throw new ChatRequestError(400, "INVALID_JSON", "Invalid request format. Expected JSON.");
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new ChatRequestError(400, "INVALID_JSON", "Invalid request format. Expected JSON.");
+  }
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Decode, size-check and sniff one attachment; returns it with normalized data.
+// Images and PDFs must match their signature, text files must be valid UTF-8.
+const validateFile = (file, path) => {
+  const label = file.name || "attachment";
+  const declaredType = file.type === "image/jpg" ? "image/jpeg" : file.type;
+  const kind = getAttachmentKind({ name: file.name, type: declaredType });
+
+  if (!kind) {
+    throw new ChatRequestError(400, "UNSUPPORTED_FILE_TYPE", `${label} is not a supported file type.`, path);
+  }
+
+  const data = normalizeBase64(file.data);
+  if (!data || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+    throw new ChatRequestError(400, "INVALID_BASE64", `${label} is not valid base64 data.`, path);
+  }
+
+  const maxBytes = MAX_ATTACHMENT_BYTES[kind];
+  if (base64ByteLength(data) > maxBytes) {
+    throw new ChatRequestError(413, "FILE_TOO_LARGE", `${label} is too large. The maximum for this type is ${maxBytes / 1024 / 1024}MB.`, path);
+  }
+
+  if (kind === "text") {
+    if (decodeText(Buffer.from(data, "base64")) === null) {
+      throw new ChatRequestError(400, "FILE_TYPE_MISMATCH", `${label} is not a text file.`, path);
+    }
+    return { ...file, type: declaredType || "text/plain", data, kind };
+  }
+
+  // Only the first few bytes are needed to check the signature
+  const head = Buffer.from(data.slice(0, Math.ceil(SNIFF_BYTES / 3) * 4), "base64");
+  const detectedType = sniffMimeType(head);
+  const expectedType = kind === "pdf" ? "application/pdf" : declaredType;
+  if (detectedType !== expectedType) {
+    throw new ChatRequestError(
+      400,
+      "FILE_TYPE_MISMATCH",
+      `${label} does not match its declared type (${expectedType}).`,
+      `${path} (detected ${detectedType || "unknown"})`
+    );
+  }
+
+  return { ...file, type: detectedType, data, kind };
+};
+
+/**
+ * Validate a parsed request body. Returns the normalized request, with every
+ * attachment (new and in history) decoded and checked against its signature.
+ */
+export const validateChatRequest = (body) => {
+  const result = chatRequestSchema.safeParse(body);
+  if (!result.success) throw toRequestError(result.error.issues[0]);
+
+  const request = result.data;
+  const files = request.files.map((file, i) => validateFile(file, `files.${i}`));
+  const attachedBytes = files.reduce((sum, file) => sum + base64ByteLength(file.data), 0);
+  if (attachedBytes > MAX_MESSAGE_ATTACHMENT_BYTES) {
+    throw new ChatRequestError(
+      413,
+      "ATTACHMENTS_TOO_LARGE",
+      `Attachments are too large together. The maximum is ${MAX_MESSAGE_ATTACHMENT_BYTES / 1024 / 1024}MB per message.`,
+      "files"
+    );
+  }
+  const conversationHistory = request.conversationHistory.map((msg, i) =>
+    msg.files
+      ? {
+          ...msg,
+          files: msg.files.map((file, j) =>
+            file.data === undefined ? file : validateFile(file, `conversationHistory.${i}.files.${j}`)
+          ),
+        }
+      : msg
+  );
+
+  if (!request.message.trim() && files.length === 0) {
+    throw new ChatRequestError(400, "EMPTY_MESSAGE", "No content provided. Please include a message or attachment.");
+  }
+
+  return { ...request, files, conversationHistory };
+};
+
+// The first exchange of a conversation, trimmed by the client
+const titleRequestSchema = z.object({
+  message: z.string().max(MAX_TITLE_SOURCE_LENGTH).optional().default(""),
+  reply: z.string().max(MAX_TITLE_SOURCE_LENGTH).optional().default(""),
+  fileNames: z.array(z.string().max(255)).max(MAX_FILES_PER_MESSAGE).optional().default([]),
+  model: z.string().max(100).optional(),
+});
+
+export const validateTitleRequest = (body) => {
+  const result = titleRequestSchema.safeParse(body);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    throw new ChatRequestError(400, "INVALID_REQUEST", `Invalid request: ${issue.message}`, issue.path.join("."));
+  }
+
+  const request = result.data;
+  if (!request.message.trim() && !request.reply.trim() && request.fileNames.length === 0) {
+    throw new ChatRequestError(400, "EMPTY_MESSAGE", "Nothing to title.");
+  }
+  return request;
+};
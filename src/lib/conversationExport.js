@@ -0,0 +1,322 @@
+// Conversation export and import.
+//
+//   json      Versioned FlashChat format with every branch and attachments
+//             inline as base64; the only format that can be imported again
+//   markdown  Plain transcript of the active branch; images and files are
+//             listed by name, code the model ran is fenced with its output
+//   html      Standalone page of the active branch with rendered Markdown and
+//             embedded images, including generated ones
+
+import { z } from 'zod';
+import { getAttachmentKind } from '@/lib/attachments';
+import { formatBytes } from '@/lib/format';
+import { hasRichParts, imageFileName, partToMarkdown, partsToMarkdown } from '@/lib/messageParts';
+import { getActivePath, normalizeConversationTree, remapMessageIds } from '@/lib/messageTree';
+
+export const EXPORT_FORMAT = 'flashchat.conversations';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', type: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown;charset=utf-8' },
+  html: { label: 'HTML', extension: 'html', type: 'text/html;charset=utf-8' },
+};
+
+const roleLabel = (msg) => (msg.role === 'user' ? 'You' : 'Assistant');
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+// Filesystem-safe name for a download, from the conversation title
+const toFileName = (title) =>
+  (title || 'conversation').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '').replace(/\s+/g, ' ').trim().slice(0, 80) || 'conversation';
+
+/**
+ * Serialize conversations to the versioned JSON format. Error bubbles are kept
+ * so an import restores the conversation exactly as it was.
+ */
+export const toJsonExport = (conversations) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  conversations,
+}, null, 2);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const describeFile = (file) => {
+  const details = [file.pages && plural(file.pages, 'page'), file.lines && plural(file.lines, 'line'), file.size && formatBytes(file.size)];
+  const suffix = details.filter(Boolean).join(', ');
+  return suffix ? `${file.name} (${suffix})` : file.name;
+};
+
+export const toMarkdownExport = (conversations) => conversations.map((conv) => {
+  const lines = [`# ${conv.title || 'Conversation'}`, ''];
+
+  for (const msg of getActivePath(conv)) {
+    const meta = [formatTimestamp(msg.timestamp), msg.model].filter(Boolean).join(' · ');
+    lines.push(`## ${roleLabel(msg)}${meta ? ` — ${meta}` : ''}`, '');
+    for (const file of msg.files || []) {
+      lines.push(`> 📎 ${describeFile(file)}`);
+    }
+    if (msg.files?.length > 0) lines.push('');
+    const body = hasRichParts(msg.parts)
+      ? partsToMarkdown(msg.parts, (part, index) => `> 🖼️ ${imageFileName(part, index)}`)
+      : msg.content;
+    lines.push(body || '', '');
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}).join('\n---\n\n');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Self-contained styles; the export can't rely on the app's Tailwind build
+const HTML_STYLES = `
+body { margin: 0; background: #171717; color: #e5e5e5; font: 15px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+main { max-width: 48rem; margin: 0 auto; padding: 2rem 1rem; }
+h1.title { font-size: 1.5rem; margin: 2rem 0 1rem; color: #fafafa; }
+.message { margin: 1rem 0; padding: 0.75rem 1.25rem; border-radius: 1rem; border: 1px solid #404040; background: #262626; }
+.message.user { background: #404040; margin-left: 15%; }
+.message.error { background: rgba(127, 29, 29, 0.2); border-color: #991b1b; color: #fecaca; }
+.meta { font-size: 0.75rem; color: #a3a3a3; margin-bottom: 0.5rem; }
+.attachment { display: inline-block; margin: 0 0.5rem 0.5rem 0; padding: 0.25rem 0.6rem; border: 1px solid #525252; border-radius: 0.5rem; font-size: 0.85rem; color: #d4d4d4; }
+img.attachment-image { display: block; max-width: 100%; max-height: 24rem; margin-bottom: 0.75rem; border-radius: 0.5rem; }
+.markdown-content p, .markdown-content ul, .markdown-content ol, .markdown-content blockquote { margin: 0.5rem 0; }
+.markdown-content a { color: #60a5fa; }
+.markdown-content blockquote { border-left: 3px solid #525252; padding-left: 0.75rem; color: #a3a3a3; }
+.markdown-content :not(pre) > code { background: #525252; padding: 0.1rem 0.3rem; border-radius: 0.25rem; font-size: 0.9em; }
+.markdown-content pre { background: #0a0a0a; border: 1px solid #404040; border-radius: 0.5rem; padding: 0.75rem; overflow-x: auto; }
+.markdown-content table { border-collapse: collapse; }
+.markdown-content th, .markdown-content td { border: 1px solid #525252; padding: 0.35rem 0.6rem; }
+.markdown-content button { display: none; }
+.hljs-keyword, .hljs-selector-tag, .hljs-type { color: #ff7b72; }
+.hljs-string, .hljs-regexp { color: #a5d6ff; }
+.hljs-number, .hljs-literal, .hljs-attr, .hljs-variable { color: #79c0ff; }
+.hljs-title, .hljs-title.function_ { color: #d2a8ff; }
+.hljs-comment { color: #8b949e; }
+.hljs-built_in, .hljs-symbol { color: #ffa657; }
+.hljs-meta { color: #8b949e; }
+`;
+
+const renderAttachments = (files = []) => files.map((file) => {
+  if (getAttachmentKind(file) === 'image' && file.data) {
+    return `<img class="attachment-image" src="data:${escapeHtml(file.type)};base64,${file.data}" alt="${escapeHtml(file.name)}">`;
+  }
+  // Embed other files as data links so the page stays self-contained
+  const label = `📎 ${escapeHtml(describeFile(file))}`;
+  return file.data
+    ? `<a class="attachment" download="${escapeHtml(file.name)}" href="data:${escapeHtml(file.type)};base64,${file.data}">${label}</a>`
+    : `<span class="attachment">${label}</span>`;
+}).join('\n');
+
+/**
+ * Render conversations as one standalone HTML page. Message text goes through
+ * the same sanitized Markdown renderer as the chat, so nothing unsafe is emitted.
+ */
+export const toHtmlExport = async (conversations) => {
+  const [{ createElement }, { renderToStaticMarkup }, { default: MessageContent }] = await Promise.all([
+    import('react'),
+    import('react-dom/server'),
+    import('@/components/MessageContent'),
+  ]);
+
+  const renderMarkdown = (content) => renderToStaticMarkup(createElement(MessageContent, { content }));
+
+  // Generated images inline, everything else through the Markdown renderer
+  const renderBody = (msg) => {
+    if (!hasRichParts(msg.parts)) return renderMarkdown(msg.content);
+    let images = 0;
+    return msg.parts.map((part) => part.type === 'image'
+      ? renderAttachments([{ name: imageFileName(part, images++), type: part.mimeType, data: part.data }])
+      : renderMarkdown(partToMarkdown(part))
+    ).join('\n');
+  };
+
+  const sections = conversations.map((conv) => {
+    const messages = getActivePath(conv).map((msg) => {
+      const meta = [roleLabel(msg), formatTimestamp(msg.timestamp), msg.model].filter(Boolean).join(' · ');
+      const classes = ['message', msg.role, msg.isError && 'error'].filter(Boolean).join(' ');
+      return `<div class="${classes}">
+<div class="meta">${escapeHtml(meta)}</div>
+${renderAttachments(msg.files)}
+${renderBody(msg)}
+</div>`;
+    }).join('\n');
+
+    return `<section>\n<h1 class="title">${escapeHtml(conv.title || 'Conversation')}</h1>\n${messages}\n</section>`;
+  }).join('\n<hr>\n');
+
+  const title = conversations.length === 1 ? conversations[0].title : 'FlashChat conversations';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<main>
+${sections}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Export conversations in one of EXPORT_FORMATS and hand the file to the
+ * browser as a download.
+ */
+export const downloadConversations = async (conversations, format) => {
+  const { extension, type } = EXPORT_FORMATS[format];
+  const content = format === 'json'
+    ? toJsonExport(conversations)
+    : format === 'markdown'
+      ? toMarkdownExport(conversations)
+      : await toHtmlExport(conversations);
+
+  const date = new Date().toISOString().slice(0, 10);
+  const name = conversations.length === 1
+    ? toFileName(conversations[0].title)
+    : `flashchat-conversations-${date}`;
+
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Unknown fields are kept, so exports from newer builds lose nothing on import
+const fileSchema = z.looseObject({
+  name: z.string(),
+  type: z.string(),
+  size: z.number().nonnegative().optional(),
+  data: z.string().regex(/^[A-Za-z0-9+/]*={0,2}$/, 'Invalid base64 data').nullable().optional(),
+});
+
+const messageSchema = z.looseObject({
+  id: z.union([z.number(), z.string()]).optional(),
+  parentId: z.union([z.number(), z.string()]).nullable().optional(),
+  role: z.enum(['user', 'assistant']),
+  content: z.string().default(''),
+  files: z.array(fileSchema).optional(),
+  timestamp: z.string().optional(),
+});
+
+const conversationSchema = z.looseObject({
+  id: z.union([z.number(), z.string()]).optional(),
+  title: z.string().default('Imported Conversation'),
+  messages: z.array(messageSchema),
+  branchSelections: z.record(z.string(), z.union([z.number(), z.string()])).optional(),
+});
+
+const exportSchema = z.object({
+  format: z.literal(EXPORT_FORMAT),
+  version: z.number().int().positive(),
+  conversations: z.array(conversationSchema),
+});
+
+// The old localStorage blob (`chatbot-data`) is accepted as well
+const legacySchema = z.object({
+  conversations: z.array(conversationSchema),
+});
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Same title and the same messages; used to skip re-importing an export
+const conversationSignature = (conv) => JSON.stringify([
+  conv.title,
+  conv.messages.map(msg => [msg.role, msg.content, (msg.files || []).map(file => file.name)]),
+]);
+
+/**
+ * Parse an exported JSON file and merge it into `existing`. Imported
+ * conversations and messages get fresh numeric ids that collide with nothing
+ * already stored; conversations identical to an existing one are skipped.
+ * Returns `{ conversations, imported, skipped }`; throws ImportError.
+ */
+export const importConversations = (text, existing) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new ImportError('The file is not valid JSON.');
+  }
+
+  let data;
+  if (parsed?.format === EXPORT_FORMAT) {
+    const result = exportSchema.safeParse(parsed);
+    if (!result.success) {
+      const issue = result.error.issues[0];
+      throw new ImportError(`The file is not a valid FlashChat export (${issue.path.join('.') || 'root'}: ${issue.message}).`);
+    }
+    if (result.data.version > EXPORT_VERSION) {
+      throw new ImportError('This export was made by a newer version of FlashChat. Please update and try again.');
+    }
+    data = result.data;
+  } else {
+    const result = legacySchema.safeParse(parsed);
+    if (!result.success) throw new ImportError('The file is not a FlashChat export.');
+    data = result.data;
+  }
+
+  const usedIds = new Set();
+  for (const conv of existing) {
+    usedIds.add(conv.id);
+    conv.messages.forEach(msg => usedIds.add(msg.id));
+  }
+  // Ids made by the app are Date.now() numbers, so imported ones are strings
+  // that can never collide with one made later
+  const batch = Date.now().toString(36);
+  let counter = 0;
+  const freshId = () => {
+    let id;
+    do id = `import-${batch}-${(counter++).toString(36)}`; while (usedIds.has(id));
+    usedIds.add(id);
+    return id;
+  };
+
+  const seen = new Set(existing.map(conversationSignature));
+  const imported = [];
+  let skipped = 0;
+
+  for (const conv of data.conversations) {
+    const signature = conversationSignature(conv);
+    if (seen.has(signature)) {
+      skipped++;
+      continue;
+    }
+    seen.add(signature);
+
+    // Flat conversations (and messages without ids) become single-branch trees
+    const withIds = {
+      ...conv,
+      messages: conv.messages.map((msg, i) => (msg.id === undefined ? { ...msg, id: `import-${i}` } : msg)),
+    };
+    // The id no longer tells when it was made, so keep that for grouping
+    imported.push({
+      ...remapMessageIds(normalizeConversationTree(withIds), freshId),
+      id: freshId(),
+      createdAt: conv.createdAt ?? Date.now(),
+    });
+  }
+
+  return { conversations: [...existing, ...imported], imported, skipped };
+};
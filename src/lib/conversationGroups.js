@@ -0,0 +1,99 @@
+// Sidebar organization: pinned conversations, user folders, date groups and
+// the archive.
+//
+// A conversation may carry `pinned`, `archived`, `folderId` and `deletedAt`
+// (see trash.js). Folders are a separate list of `{ id, name, collapsed }`.
+// The sidebar sorts by last activity for display only; the stored order of
+// `conversations` never changes, so sorting doesn't rewrite every record.
+
+import { isTrashed } from '@/lib/trash';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cached per messages array, which is replaced whenever a message changes
+const activityCache = new WeakMap();
+
+/**
+ * Time of the newest message, falling back to when the conversation was
+ * created (new conversations use Date.now() ids).
+ */
+export const getLastActivity = (conv) => {
+  let latest = activityCache.get(conv.messages);
+  if (latest === undefined) {
+    latest = 0;
+    for (const msg of conv.messages) {
+      const time = Date.parse(msg.timestamp);
+      if (time > latest) latest = time;
+    }
+    activityCache.set(conv.messages, latest);
+  }
+  return latest || conv.createdAt || (typeof conv.id === 'number' ? conv.id : 0);
+};
+
+const byActivity = (a, b) => getLastActivity(b) - getLastActivity(a);
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// "Today", "Yesterday", "Previous 7 days", "Previous 30 days", then by month
+const dateGroupOf = (time, today) => {
+  if (time >= today) return { key: 'today', label: 'Today' };
+  if (time >= today - DAY_MS) return { key: 'yesterday', label: 'Yesterday' };
+  if (time >= today - 7 * DAY_MS) return { key: 'week', label: 'Previous 7 days' };
+  if (time >= today - 30 * DAY_MS) return { key: 'month', label: 'Previous 30 days' };
+
+  const date = new Date(time);
+  return {
+    key: `${date.getFullYear()}-${date.getMonth()}`,
+    label: date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' }),
+  };
+};
+
+/**
+ * Split conversations into sidebar sections, each sorted by last activity:
+ * pinned first, then one section per folder, then everything else grouped by
+ * date. Archived conversations are only returned in `archived`, and
+ * conversations in the trash only in `trash` (most recently deleted first).
+ */
+export const groupConversations = (conversations, folders, now = Date.now()) => {
+  const folderIds = new Set(folders.map(folder => folder.id));
+  const sorted = conversations.filter(conv => !isTrashed(conv)).sort(byActivity);
+  const visible = sorted.filter(conv => !conv.archived);
+
+  const pinned = visible.filter(conv => conv.pinned);
+  const inFolders = new Map(folders.map(folder => [folder.id, []]));
+  const dateGroups = [];
+  const today = startOfDay(now);
+
+  for (const conv of visible) {
+    if (conv.pinned) continue;
+    if (folderIds.has(conv.folderId)) {
+      inFolders.get(conv.folderId).push(conv);
+      continue;
+    }
+    const group = dateGroupOf(getLastActivity(conv), today);
+    const last = dateGroups[dateGroups.length - 1];
+    if (last?.key === group.key) {
+      last.conversations.push(conv);
+    } else {
+      dateGroups.push({ ...group, conversations: [conv] });
+    }
+  }
+
+  return {
+    pinned,
+    folders: folders.map(folder => ({ folder, conversations: inFolders.get(folder.id) })),
+    dateGroups,
+    archived: sorted.filter(conv => conv.archived),
+    trash: conversations.filter(isTrashed).sort((a, b) => b.deletedAt - a.deletedAt),
+  };
+};
+
+export const createFolder = (name = 'New folder') => ({
+  id: `folder-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  collapsed: false,
+});
@@ -0,0 +1,77 @@
+// Merging a conversation changed somewhere else (another tab) into the local
+// copy.
+//
+// This is a three-way merge against `base`, the version both sides last
+// agreed on (what this tab last loaded or saved). Whichever side changed a
+// field or message since `base` keeps its change; when both did, the local
+// side wins, since its save lands after the remote one. Messages are merged
+// by id, so two tabs sending in the same conversation at once end up as
+// sibling branches instead of one overwriting the other.
+
+const pick = (key, base, local, remote) =>
+  local[key] === base?.[key] ? remote[key] : local[key];
+
+const mergeFields = (base, local, remote, skip) => {
+  const merged = {};
+  for (const key of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+    if (skip.includes(key)) continue;
+    const value = pick(key, base, local, remote);
+    if (value !== undefined) merged[key] = value;
+  }
+  return merged;
+};
+
+const mergeMessages = (base, local, remote) => {
+  const baseById = new Map((base?.messages || []).map(msg => [msg.id, msg]));
+  const remoteById = new Map(remote.messages.map(msg => [msg.id, msg]));
+  const localIds = new Set(local.messages.map(msg => msg.id));
+
+  const messages = [];
+  for (const msg of local.messages) {
+    const baseMsg = baseById.get(msg.id);
+    const remoteMsg = remoteById.get(msg.id);
+    if (remoteMsg) {
+      messages.push(msg === baseMsg ? remoteMsg : msg);
+    } else if (!baseMsg || msg !== baseMsg) {
+      // New here, or edited here after the other side deleted it
+      messages.push(msg);
+    }
+  }
+  // New on the other side; anything in `base` but not local was deleted here
+  for (const msg of remote.messages) {
+    if (!localIds.has(msg.id) && !baseById.has(msg.id)) messages.push(msg);
+  }
+  return messages;
+};
+
+/**
+ * Merge `remote` into `local`. Returns the merged conversation (`remote`
+ * itself when there were no local changes) and `concurrentSends`, true when
+ * both sides added a user message since `base`.
+ */
+export const mergeConversation = (base, local, remote) => {
+  if (!local || local === base) return { conversation: remote, concurrentSends: false };
+
+  const isNewUserMessage = (msg) => msg.role === 'user' && !base?.messages.some(m => m.id === msg.id);
+  const localIds = new Set(local.messages.map(msg => msg.id));
+  const concurrentSends =
+    local.messages.some(isNewUserMessage) &&
+    remote.messages.some(msg => !localIds.has(msg.id) && isNewUserMessage(msg));
+
+  const branchSelections = mergeFields(
+    base?.branchSelections,
+    local.branchSelections || {},
+    remote.branchSelections || {},
+    []
+  );
+
+  return {
+    conversation: {
+      ...mergeFields(base, local, remote, ['messages', 'branchSelections', 'updatedAt']),
+      messages: mergeMessages(base, local, remote),
+      branchSelections,
+      updatedAt: Math.max(local.updatedAt || 0, remote.updatedAt || 0),
+    },
+    concurrentSends,
+  };
+};
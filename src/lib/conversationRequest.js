@@ -0,0 +1,96 @@
+// Request contracts for /api/conversations: access checks and schemas for
+// conversations and messages. Failures are thrown as ChatRequestError, like
+// the chat route's, and turned into responses by handleConversationRequest().
+
+import { timingSafeEqual } from "node:crypto";
+import { z } from "zod";
+import { MAX_FILES_PER_MESSAGE } from "@/config/limits";
+import { ChatRequestError } from "@/lib/chatRequest";
+import { ConflictError, getServerStorageConfig, getServerStore, isValidConversationId } from "@/lib/serverStore";
+
+const idSchema = z.union([z.number().int().nonnegative(), z.string().min(1).max(64)]);
+
+// Unknown fields (usage, tool steps, parts, ...) are kept as the client sent them
+const fileSchema = z.looseObject({
+  name: z.string().max(255),
+  type: z.string().max(100),
+  size: z.number().nonnegative().optional(),
+  data: z.string().nullable().optional(),
+});
+
+export const messageSchema = z.looseObject({
+  id: idSchema,
+  parentId: idSchema.nullable().optional(),
+  role: z.enum(["user", "assistant"]),
+  content: z.string().default(""),
+  files: z.array(fileSchema).max(MAX_FILES_PER_MESSAGE).optional(),
+  timestamp: z.string().optional(),
+});
+
+export const conversationSchema = z.looseObject({
+  id: idSchema.refine(isValidConversationId, "Conversation ids may only use letters, digits, _ and -"),
+  title: z.string().default(""),
+  messages: z.array(messageSchema).default([]),
+  updatedAt: z.number().nonnegative().optional(),
+});
+
+/** Validate `body` against `schema`, throwing a 400 ChatRequestError. */
+export const parseBody = (schema, body) => {
+  const result = schema.safeParse(body);
+  if (result.success) return result.data;
+  const issue = result.error.issues[0];
+  throw new ChatRequestError(400, "INVALID_REQUEST", `Invalid request: ${issue.message}`, issue.path.join("."));
+};
+
+const tokenMatches = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// The store, once server storage is on and the caller has the token
+const openStore = (request) => {
+  const { enabled, token } = getServerStorageConfig();
+  if (!enabled) {
+    throw new ChatRequestError(404, "NOT_CONFIGURED", "Server storage is not enabled. Set SERVER_STORAGE_DIR to turn it on.");
+  }
+  const given = request.headers.get("authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  if (token && !(given && tokenMatches(given, token))) {
+    throw new ChatRequestError(401, "AUTH", "Missing or wrong server storage token.");
+  }
+  return getServerStore();
+};
+
+/**
+ * Run `handler(store)` for a conversations API request and turn thrown
+ * errors into JSON error responses. A ConflictError is a 409 carrying the
+ * server's current version, or null if it was deleted.
+ */
+export const handleConversationRequest = async (request, handler) => {
+  try {
+    return await handler(openStore(request));
+  } catch (error) {
+    if (error instanceof ChatRequestError) return error.toResponse();
+    if (error instanceof ConflictError) {
+      return Response.json(
+        { error: error.message, code: "CONFLICT", conversation: error.current },
+        { status: 409 }
+      );
+    }
+    console.error("Conversation storage request failed:", error);
+    return Response.json(
+      { error: "Server storage failed.", code: "INTERNAL", details: error?.message || "Unknown error" },
+      { status: 500 }
+    );
+  }
+};
+
+// Path ids arrive as strings; 404 for anything that can't be a stored id
+export const checkConversationId = (id) => {
+  if (!isValidConversationId(id)) {
+    throw new ChatRequestError(404, "NOT_FOUND", "No such conversation.");
+  }
+  return id;
+};
+
+export const notFound = () => Response.json({ error: "No such conversation.", code: "NOT_FOUND" }, { status: 404 });
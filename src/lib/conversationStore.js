@@ -0,0 +1,384 @@
+// IndexedDB persistence for conversations.
+//
+// Conversations, messages and attachments live in separate object stores so
+// that a change only rewrites the records it touched. Attachments are stored
+// as Blobs; in memory the app keeps using base64 `data` on `message.files`.
+
+const DB_NAME = 'flashchat';
+const DB_VERSION = 1;
+
+// Key of the pre-IndexedDB localStorage blob, migrated on first load
+export const LEGACY_STORAGE_KEY = 'chatbot-data';
+
+const STORES = {
+  conversations: 'conversations',
+  messages: 'messages',
+  attachments: 'attachments',
+  meta: 'meta',
+};
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.conversations)) {
+        db.createObjectStore(STORES.conversations, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.messages)) {
+        const messages = db.createObjectStore(STORES.messages, { keyPath: 'id' });
+        messages.createIndex('conversationId', 'conversationId');
+      }
+      if (!db.objectStoreNames.contains(STORES.attachments)) {
+        const attachments = db.createObjectStore(STORES.attachments, { keyPath: 'id' });
+        attachments.createIndex('conversationId', 'conversationId');
+        attachments.createIndex('messageId', 'messageId');
+      }
+      if (!db.objectStoreNames.contains(STORES.meta)) {
+        db.createObjectStore(STORES.meta);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    // Allow a later call to try again
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+const base64ToBlob = (base64, type) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
+
+const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const attachmentId = (messageId, index) => `${messageId}:${index}`;
+
+const attachmentIds = (msg) => (msg.files || []).map((_, i) => attachmentId(msg.id, i));
+
+// Split a conversation into its record (everything but messages)
+const toConversationRecord = (conv, position) => {
+  const { messages, ...rest } = conv;
+  return { ...rest, position };
+};
+
+// Split a message into its record, replacing inline file data with attachment
+// refs. Other file metadata (size, page or line counts) stays on the record.
+const toMessageRecord = (msg, conversationId, position) => {
+  const { files, ...rest } = msg;
+  return {
+    ...rest,
+    conversationId,
+    position,
+    attachments: (files || []).map(({ data, ...file }, i) => ({
+      ...file,
+      id: attachmentId(msg.id, i),
+    })),
+  };
+};
+
+const toAttachmentRecords = (msg, conversationId) =>
+  (msg.files || [])
+    .map((file, i) => file.data && {
+      id: attachmentId(msg.id, i),
+      conversationId,
+      messageId: msg.id,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      blob: base64ToBlob(file.data, file.type),
+    })
+    .filter(Boolean);
+
+// Delete every record matching `key` on an index. Only use this when no puts
+// for the same records are queued in the transaction, since the cursor runs after them.
+const deleteByIndex = (store, indexName, key) => {
+  const request = store.index(indexName).openCursor(IDBKeyRange.only(key));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    cursor.delete();
+    cursor.continue();
+  };
+};
+
+// Rebuild conversations from their records, turning attachment Blobs back
+// into base64 `files`
+const assembleConversations = async (convRecords, messageRecords, attachmentRecords) => {
+  const attachmentData = new Map(await Promise.all(
+    attachmentRecords.map(async (record) => [record.id, await blobToBase64(record.blob)])
+  ));
+
+  const messagesByConv = new Map();
+  for (const record of messageRecords.sort((a, b) => a.position - b.position)) {
+    const { conversationId, position, attachments, ...msg } = record;
+    if (attachments?.length > 0) {
+      msg.files = attachments.map(({ id, ...file }) => ({ ...file, data: attachmentData.get(id) || null }));
+    }
+    if (!messagesByConv.has(conversationId)) messagesByConv.set(conversationId, []);
+    messagesByConv.get(conversationId).push(msg);
+  }
+
+  return convRecords
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, ...conv }) => ({ ...conv, messages: messagesByConv.get(conv.id) || [] }));
+};
+
+/**
+ * Load every conversation with its messages. Returns
+ * `{ conversations, activeConvId }`.
+ */
+export const loadConversations = async () => {
+  const db = await openDb();
+  const tx = db.transaction(Object.values(STORES), 'readonly');
+  const [convRecords, messageRecords, attachmentRecords, activeConvId] = await Promise.all([
+    requestToPromise(tx.objectStore(STORES.conversations).getAll()),
+    requestToPromise(tx.objectStore(STORES.messages).getAll()),
+    requestToPromise(tx.objectStore(STORES.attachments).getAll()),
+    requestToPromise(tx.objectStore(STORES.meta).get('activeConvId')),
+  ]);
+
+  const conversations = await assembleConversations(convRecords, messageRecords, attachmentRecords);
+  return { conversations, activeConvId };
+};
+
+// Load just these conversations, e.g. after another tab changed them.
+// Ids that no longer exist are left out.
+export const loadConversationsById = async (ids) => {
+  const db = await openDb();
+  const tx = db.transaction(
+    [STORES.conversations, STORES.messages, STORES.attachments],
+    'readonly'
+  );
+  const perConversation = await Promise.all(ids.map(id => Promise.all([
+    requestToPromise(tx.objectStore(STORES.conversations).get(id)),
+    requestToPromise(tx.objectStore(STORES.messages).index('conversationId').getAll(id)),
+    requestToPromise(tx.objectStore(STORES.attachments).index('conversationId').getAll(id)),
+  ])));
+
+  const found = perConversation.filter(([record]) => record);
+  return assembleConversations(
+    found.map(([record]) => record),
+    found.flatMap(([, messages]) => messages),
+    found.flatMap(([, , attachments]) => attachments)
+  );
+};
+
+/**
+ * Persist the difference between two snapshots of the conversations array.
+ * Relies on immutable updates: unchanged conversations and messages keep
+ * their object identity and are skipped, and ones that only moved in the list
+ * just get their new position. Written records are stamped with `updatedAt`,
+ * unless `keepUpdatedAt` is set because the conversations come from the
+ * server with their own. Returns the ids that were written and deleted.
+ */
+export const saveConversationChanges = async (prev, next, { keepUpdatedAt = false } = {}) => {
+  const prevById = new Map((prev || []).map((conv, i) => [conv.id, { conv, position: i }]));
+  const nextIds = new Set(next.map(conv => conv.id));
+
+  const convPuts = [];
+  const convMoves = [];
+  const messagePuts = [];
+  const messageDeletes = [];
+  const attachmentPuts = [];
+  const attachmentDeletes = [];
+
+  next.forEach((conv, position) => {
+    const old = prevById.get(conv.id);
+    if (old && old.conv === conv) {
+      // Moving isn't an edit, so the stored `updatedAt` stays (server sync
+      // compares it with other devices' copies)
+      if (old.position !== position) convMoves.push({ id: conv.id, position });
+      return;
+    }
+
+    convPuts.push({ ...toConversationRecord(conv, position), updatedAt: keepUpdatedAt ? conv.updatedAt : Date.now() });
+
+    const oldMessages = old?.conv.messages || [];
+    const oldById = new Map(oldMessages.map(msg => [msg.id, msg]));
+    conv.messages.forEach((msg, i) => {
+      const oldMsg = oldById.get(msg.id);
+      if (oldMsg === msg && oldMessages[i] === msg) return;
+
+      messagePuts.push(toMessageRecord(msg, conv.id, i));
+      if (!oldMsg || oldMsg.files !== msg.files) {
+        if (oldMsg) attachmentDeletes.push(...attachmentIds(oldMsg));
+        attachmentPuts.push(...toAttachmentRecords(msg, conv.id));
+      }
+    });
+
+    const newIds = new Set(conv.messages.map(msg => msg.id));
+    for (const msg of oldMessages) {
+      if (!newIds.has(msg.id)) {
+        messageDeletes.push(msg.id);
+        attachmentDeletes.push(...attachmentIds(msg));
+      }
+    }
+  });
+
+  const convDeletes = (prev || []).map(conv => conv.id).filter(id => !nextIds.has(id));
+
+  const result = { changed: convPuts.map(record => record.id), deleted: convDeletes };
+  if (convPuts.length + convMoves.length + messageDeletes.length + convDeletes.length === 0) return result;
+
+  const db = await openDb();
+  const tx = db.transaction(
+    [STORES.conversations, STORES.messages, STORES.attachments],
+    'readwrite'
+  );
+  const conversations = tx.objectStore(STORES.conversations);
+  const messages = tx.objectStore(STORES.messages);
+  const attachments = tx.objectStore(STORES.attachments);
+
+  for (const id of convDeletes) {
+    conversations.delete(id);
+    deleteByIndex(messages, 'conversationId', id);
+    deleteByIndex(attachments, 'conversationId', id);
+  }
+  messageDeletes.forEach(id => messages.delete(id));
+  attachmentDeletes.forEach(id => attachments.delete(id));
+  convPuts.forEach(record => conversations.put(record));
+  convMoves.forEach(({ id, position }) => {
+    const request = conversations.get(id);
+    request.onsuccess = () => {
+      if (request.result) conversations.put({ ...request.result, position });
+    };
+  });
+  messagePuts.forEach(record => messages.put(record));
+  attachmentPuts.forEach(record => attachments.put(record));
+
+  await transactionDone(tx);
+  return result;
+};
+
+const readMeta = async (key) => {
+  const db = await openDb();
+  const tx = db.transaction(STORES.meta, 'readonly');
+  return requestToPromise(tx.objectStore(STORES.meta).get(key));
+};
+
+const writeMeta = async (key, value) => {
+  const db = await openDb();
+  const tx = db.transaction(STORES.meta, 'readwrite');
+  tx.objectStore(STORES.meta).put(value, key);
+  await transactionDone(tx);
+};
+
+export const saveActiveConversationId = (id) => writeMeta('activeConvId', id);
+
+// Saved personas (named system prompts) are small, so they live as one list in meta
+export const loadPersonas = async () => (await readMeta('personas')) || [];
+
+export const savePersonas = (personas) => writeMeta('personas', personas);
+
+// Sidebar folders; conversations point at them with `folderId`
+export const loadFolders = async () => (await readMeta('folders')) || [];
+
+export const saveFolders = (folders) => writeMeta('folders', folders);
+
+// Days conversations stay in the trash, or null if never chosen
+export const loadTrashRetention = () => readMeta('trashRetentionDays');
+
+export const saveTrashRetention = (days) => writeMeta('trashRetentionDays', days);
+
+// Soft usage budget ({ limit, unit, period }, see usage.js), or null for none
+export const loadUsageBudget = async () => (await readMeta('usageBudget')) || null;
+
+export const saveUsageBudget = (budget) => writeMeta('usageBudget', budget);
+
+// Read-aloud { voiceURI, rate }; unset fields use DEFAULT_SPEECH_SETTINGS
+export const loadSpeechSettings = async () => (await readMeta('speechSettings')) || {};
+
+export const saveSpeechSettings = (settings) => writeMeta('speechSettings', settings);
+
+// Server sync settings ({ enabled, token }), off unless turned on
+export const loadServerSync = async () => (await readMeta('serverSync')) || { enabled: false, token: '' };
+
+export const saveServerSync = (settings) => writeMeta('serverSync', settings);
+
+// Server sync bookkeeping, see serverSync.js
+export const loadSyncState = async () => (await readMeta('serverSyncState')) || null;
+
+export const saveSyncState = (state) => writeMeta('serverSyncState', state);
+
+// Generation settings used by conversations that don't override them
+export const loadGenerationDefaults = async () => (await readMeta('generationDefaults')) || {};
+
+export const saveGenerationDefaults = (settings) => writeMeta('generationDefaults', settings);
+
+/**
+ * Move conversations from the old localStorage blob into IndexedDB.
+ * Runs once; the localStorage key is removed after a successful import.
+ */
+export const migrateFromLocalStorage = async () => {
+  let saved;
+  try {
+    saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+  } catch {
+    return false;
+  }
+  if (!saved) return false;
+
+  let data;
+  try {
+    data = JSON.parse(saved);
+  } catch (error) {
+    console.error('Discarding unreadable legacy conversation data:', error);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return false;
+  }
+
+  if (Array.isArray(data.conversations) && data.conversations.length > 0) {
+    const existing = await loadConversations();
+    const existingIds = new Set(existing.conversations.map(conv => conv.id));
+    const toImport = data.conversations.filter(conv => !existingIds.has(conv.id));
+
+    await saveConversationChanges(existing.conversations, [...existing.conversations, ...toImport]);
+    if (data.activeConvId && !existing.activeConvId) {
+      await saveActiveConversationId(data.activeConvId);
+    }
+  }
+
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+  return true;
+};
+
+// Approximate bytes used by this origin, or null where the API is missing
+export const getStorageUsage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage: usage || 0, quota: quota || 0 };
+};
@@ -0,0 +1,22 @@
+// Identify file types from their leading bytes, so the server never has to
+// trust the MIME type a client declares.
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const SIGNATURES = [
+  { type: "image/png", test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: "image/jpeg", test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { type: "image/gif", test: (b) => startsWith(b, ascii("GIF87a")) || startsWith(b, ascii("GIF89a")) },
+  { type: "image/webp", test: (b) => startsWith(b, ascii("RIFF")) && startsWith(b, ascii("WEBP"), 8) },
+  { type: "application/pdf", test: (b) => startsWith(b, ascii("%PDF-")) },
+];
+
+// Bytes needed to recognise any signature above
+export const SNIFF_BYTES = 16;
+
+// Detected MIME type for the given leading bytes, or null if unrecognised
+export const sniffMimeType = (bytes) =>
+  SIGNATURES.find((signature) => signature.test(bytes))?.type || null;
@@ -0,0 +1,40 @@
+// Generation settings on the client.
+//
+// Settings use the request's field names (temperature, topP, topK,
+// maxOutputTokens, stopSequences, safetySettings); a missing field means the
+// provider's default. A conversation's `generationSettings` replaces the
+// global default as a whole, and null means "use the default".
+
+// Settings in effect for a conversation
+export const getGenerationSettings = (conv, defaults) => conv?.generationSettings || defaults || {};
+
+/**
+ * Turn settings into the request's `generationConfig` for `model` (from
+ * /api/models): empty fields are dropped, output length is capped at the
+ * model's limit, and settings the model doesn't take are left out.
+ */
+export const toRequestConfig = (settings, model) => {
+  const config = {};
+  for (const key of ['temperature', 'topP', 'topK', 'maxOutputTokens']) {
+    if (typeof settings[key] === 'number' && Number.isFinite(settings[key])) config[key] = settings[key];
+  }
+  if (config.maxOutputTokens && model?.maxOutputTokens) {
+    config.maxOutputTokens = Math.min(config.maxOutputTokens, model.maxOutputTokens);
+  }
+  if (model && !model.topK) delete config.topK;
+
+  const stopSequences = (settings.stopSequences || []).filter(Boolean);
+  if (stopSequences.length > 0) config.stopSequences = stopSequences;
+
+  if (settings.safetySettings?.length > 0 && (!model || model.safetySettings)) {
+    config.safetySettings = settings.safetySettings;
+  }
+
+  return Object.keys(config).length > 0 ? config : undefined;
+};
+
+// Short description for the header button, e.g. "temp 0.2 · 2048 tokens"
+export const describeGenerationSettings = (settings) => [
+  typeof settings.temperature === 'number' && `temp ${settings.temperature}`,
+  settings.maxOutputTokens && `${settings.maxOutputTokens} tokens`,
+].filter(Boolean).join(' · ');
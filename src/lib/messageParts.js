@@ -0,0 +1,44 @@
+// What a model returns besides text: generated images, and code it ran along
+// with the output. Assistant messages keep these as `parts`, the whole reply
+// in order (shapes in src/lib/providers/index.js); `content` still holds the
+// text alone, which is what history, search and titles use.
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+export const textPart = (text) => (text ? [{ type: 'text', text }] : []);
+
+export const hasRichParts = (parts) => parts?.some(part => part.type !== 'text') || false;
+
+/** Add parts to a reply's, merging adjacent text so chunks join up. */
+export const appendParts = (parts, added) => added.reduce((result, part) => {
+  const last = result.at(-1);
+  return part.type === 'text' && last?.type === 'text'
+    ? [...result.slice(0, -1), { ...last, text: last.text + part.text }]
+    : [...result, part];
+}, parts);
+
+// File name for the `index`th image of a reply, for downloads
+export const imageFileName = (part, index) =>
+  `image-${index + 1}.${IMAGE_EXTENSIONS[part.mimeType] || 'png'}`;
+
+const fence = (text, language = '') => {
+  // A longer fence than any run of backticks inside
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${text.replace(/\n$/, '')}\n${marks}`;
+};
+
+/** Markdown for a non-image part: text as-is, code and its output fenced. */
+export const partToMarkdown = (part) => {
+  if (part.type === 'code') return fence(part.code, part.language);
+  if (part.type === 'codeResult') return fence(part.output || '(no output)', 'text');
+  return part.text || '';
+};
+
+/** Whole reply as Markdown, with images as `imageMarkdown(part, index)`. */
+export const partsToMarkdown = (parts, imageMarkdown) => {
+  let images = 0;
+  return parts
+    .map(part => part.type === 'image' ? imageMarkdown(part, images++) : partToMarkdown(part))
+    .join('\n\n');
+};
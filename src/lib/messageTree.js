@@ -0,0 +1,133 @@
+// Conversations as message trees.
+//
+// `conv.messages` holds every message of every branch in creation order. Each
+// message points at the one it follows with `parentId` (null for the first).
+// Edits and regenerations add a sibling instead of replacing anything, and
+// `conv.branchSelections` remembers which child is shown under each parent.
+// Without a selection the newest child is shown.
+
+const ROOT = 'root';
+
+const parentKey = (parentId) => (parentId === null || parentId === undefined ? ROOT : String(parentId));
+
+/**
+ * Give messages from before branching existed a `parentId`, chaining them in
+ * array order. Returns the conversation unchanged if nothing was missing.
+ */
+export const normalizeConversationTree = (conv) => {
+  if (conv.messages.every(msg => msg.parentId !== undefined)) return conv;
+
+  let previousId = null;
+  const messages = conv.messages.map(msg => {
+    const next = msg.parentId === undefined ? { ...msg, parentId: previousId } : msg;
+    previousId = msg.id;
+    return next;
+  });
+  return { ...conv, messages };
+};
+
+const groupChildren = (messages) => {
+  const children = new Map();
+  for (const msg of messages) {
+    const key = parentKey(msg.parentId);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(msg);
+  }
+  return children;
+};
+
+/**
+ * Messages on the active branch, root first. This is what the chat shows and
+ * what is sent to the model as history.
+ */
+export const getActivePath = (conv) => {
+  if (!conv) return [];
+  const children = groupChildren(conv.messages);
+  const selections = conv.branchSelections || {};
+  const path = [];
+
+  let key = ROOT;
+  while (children.has(key)) {
+    const options = children.get(key);
+    const next = options.find(msg => msg.id === selections[key]) || options[options.length - 1];
+    path.push(next);
+    key = parentKey(next.id);
+  }
+  return path;
+};
+
+// Versions of a message (itself and its siblings), and which one it is
+export const getSiblings = (conv, message) => {
+  const key = parentKey(message.parentId);
+  const siblings = conv.messages.filter(msg => parentKey(msg.parentId) === key);
+  return { siblings, index: siblings.findIndex(msg => msg.id === message.id) };
+};
+
+// Show `messageId` (and the branch it was last on) in place of its siblings
+export const selectBranch = (conv, messageId) => {
+  const message = conv.messages.find(msg => msg.id === messageId);
+  if (!message) return conv;
+  return {
+    ...conv,
+    branchSelections: { ...conv.branchSelections, [parentKey(message.parentId)]: messageId },
+  };
+};
+
+// Make the branch containing `messageId` active, e.g. when opening a search result
+export const selectPathTo = (conv, messageId) => {
+  const byId = new Map(conv.messages.map(msg => [msg.id, msg]));
+  const selections = { ...conv.branchSelections };
+  let message = byId.get(messageId);
+  while (message) {
+    selections[parentKey(message.parentId)] = message.id;
+    message = byId.get(message.parentId);
+  }
+  return { ...conv, branchSelections: selections };
+};
+
+// Add a message under `message.parentId` and make it the active child there
+export const appendMessage = (conv, message) => ({
+  ...conv,
+  messages: [...conv.messages, message],
+  branchSelections: { ...conv.branchSelections, [parentKey(message.parentId)]: message.id },
+});
+
+// Remove a message and everything after it on any branch. A branch selection
+// that pointed at a removed message falls back to the newest remaining child.
+export const removeBranch = (conv, messageId) => {
+  const removed = new Set([String(messageId)]);
+  for (const msg of conv.messages) {
+    // Children always come after their parent
+    if (msg.parentId !== null && removed.has(String(msg.parentId))) removed.add(String(msg.id));
+  }
+
+  return {
+    ...conv,
+    messages: conv.messages.filter(msg => !removed.has(String(msg.id))),
+    branchSelections: Object.fromEntries(
+      Object.entries(conv.branchSelections || {})
+        .filter(([key, id]) => !removed.has(key) && !removed.has(String(id)))
+    ),
+  };
+};
+
+// Give every message a new id from `nextId()`, keeping parents and branch
+// selections pointing at the right messages
+export const remapMessageIds = (conv, nextId) => {
+  const ids = new Map(conv.messages.map(msg => [String(msg.id), nextId()]));
+  const mapId = (id) => ids.get(String(id)) ?? null;
+
+  return {
+    ...conv,
+    messages: conv.messages.map(msg => ({
+      ...msg,
+      id: mapId(msg.id),
+      parentId: msg.parentId === null ? null : mapId(msg.parentId),
+    })),
+    branchSelections: Object.fromEntries(
+      Object.entries(conv.branchSelections || {})
+        .filter(([key, id]) => (key === ROOT || ids.has(key)) && ids.has(String(id)))
+        .map(([key, id]) => [key === ROOT ? ROOT : String(mapId(key)), mapId(id)])
+    ),
+  };
+};
@@ -0,0 +1,146 @@
+// Per-model circuit breaker. Lives in server memory, so each instance learns
+// on its own which models are failing and stops sending users through them.
+//
+//   closed     Healthy; every request may use the model
+//   open       Failing; skipped until the cooldown ends
+//   half-open  Cooldown over; one trial request decides whether it closes
+//              again or reopens with a longer cooldown
+
+// Consecutive server errors before a model is taken out of rotation
+const FAILURE_THRESHOLD = 3;
+// Consecutive timeouts before a model is taken out of rotation
+const TIMEOUT_THRESHOLD = 2;
+
+const BASE_COOLDOWN_MS = 30 * 1000;
+const TIMEOUT_COOLDOWN_MS = 60 * 1000;
+const NOT_FOUND_COOLDOWN_MS = 10 * 60 * 1000;
+const DAILY_QUOTA_COOLDOWN_MS = 60 * 60 * 1000;
+const MAX_COOLDOWN_MS = 30 * 60 * 1000;
+
+// A half-open trial that never reports back frees its slot after this long
+const TRIAL_LEASE_MS = 2 * 60 * 1000;
+
+const circuits = new Map();
+
+const getCircuit = (key) => {
+  if (!circuits.has(key)) {
+    circuits.set(key, {
+      state: "closed",
+      failures: 0,
+      timeouts: 0,
+      cooldownMs: 0,
+      openUntil: 0,
+      trialStartedAt: 0,
+    });
+  }
+  return circuits.get(key);
+};
+
+const open = (circuit, cooldownMs, now) => {
+  circuit.state = "open";
+  circuit.cooldownMs = Math.min(cooldownMs, MAX_COOLDOWN_MS);
+  circuit.openUntil = now + circuit.cooldownMs;
+  circuit.trialStartedAt = 0;
+};
+
+/**
+ * Whether a request may use this model right now. In half-open state only the
+ * first caller gets through; it must report back with recordSuccess/Failure.
+ */
+export const tryAcquire = (key, now = Date.now()) => {
+  const circuit = getCircuit(key);
+
+  if (circuit.state === "open") {
+    if (now < circuit.openUntil) return false;
+    circuit.state = "half-open";
+    circuit.trialStartedAt = 0;
+  }
+
+  if (circuit.state === "half-open") {
+    if (circuit.trialStartedAt && now - circuit.trialStartedAt < TRIAL_LEASE_MS) {
+      return false;
+    }
+    circuit.trialStartedAt = now;
+  }
+
+  return true;
+};
+
+/**
+ * Give back a half-open trial that ended without an answer either way (the
+ * client went away), so the next request can try instead of waiting out the
+ * lease.
+ */
+export const releaseTrial = (key) => {
+  const circuit = getCircuit(key);
+  if (circuit.state === "half-open") circuit.trialStartedAt = 0;
+};
+
+export const recordSuccess = (key) => {
+  const circuit = getCircuit(key);
+  circuit.state = "closed";
+  circuit.failures = 0;
+  circuit.timeouts = 0;
+  circuit.cooldownMs = 0;
+  circuit.openUntil = 0;
+  circuit.trialStartedAt = 0;
+};
+
+/**
+ * Record a failed call. 429s open the circuit for as long as the upstream
+ * asked (longer for exhausted daily quotas), 404s take the model out for a
+ * while, timeouts and server errors open it after repeated failures. Other
+ * client errors say nothing about the model's health and are ignored.
+ */
+export const recordFailure = (key, error, now = Date.now()) => {
+  const circuit = getCircuit(key);
+  const status = error?.status;
+  const retryAfterMs = error?.retryAfter ? error.retryAfter * 1000 : 0;
+  const wasTrial = circuit.state === "half-open";
+
+  if (status === 429) {
+    const fallback = error?.quota === "daily" ? DAILY_QUOTA_COOLDOWN_MS : BASE_COOLDOWN_MS;
+    open(circuit, Math.max(retryAfterMs, fallback), now);
+    return;
+  }
+
+  if (status === 404) {
+    open(circuit, NOT_FOUND_COOLDOWN_MS, now);
+    return;
+  }
+
+  if (error?.timeout) {
+    circuit.timeouts += 1;
+    if (wasTrial || circuit.timeouts >= TIMEOUT_THRESHOLD) {
+      open(circuit, Math.max(circuit.cooldownMs * 2, TIMEOUT_COOLDOWN_MS), now);
+    }
+    return;
+  }
+
+  if (status >= 400 && status < 500) {
+    // The request was bad, not the model; release a trial slot without judging
+    if (wasTrial) circuit.trialStartedAt = 0;
+    return;
+  }
+
+  circuit.failures += 1;
+  if (wasTrial || circuit.failures >= FAILURE_THRESHOLD) {
+    open(circuit, Math.max(circuit.cooldownMs * 2, BASE_COOLDOWN_MS, retryAfterMs), now);
+  }
+};
+
+// Seconds until the soonest of these models can be tried again
+export const secondsUntilAvailable = (keys, now = Date.now()) => {
+  const waits = keys.map((key) => {
+    const circuit = getCircuit(key);
+    return circuit.state === "open" ? Math.max(0, circuit.openUntil - now) : 0;
+  });
+  return waits.length > 0 ? Math.ceil(Math.min(...waits) / 1000) : 0;
+};
+
+// Current state of a model's circuit, accounting for an elapsed cooldown
+export const getCircuitState = (key, now = Date.now()) => {
+  const circuit = getCircuit(key);
+  if (circuit.state === "open" && now >= circuit.openUntil) return "half-open";
+  return circuit.state;
+};
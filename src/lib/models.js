@@ -0,0 +1,84 @@
+import { DEFAULT_CAPABILITIES, MODEL_CATALOG, PROVIDER_CAPABILITIES } from "@/config/models";
+
+/**
+ * Model definitions for a provider, in fallback order. Providers that get
+ * their model list from the environment (`provider.modelNames`) use the
+ * catalog only to look up capabilities.
+ */
+export const getModels = (provider) => {
+  const catalog = MODEL_CATALOG[provider.name] || [];
+  const withDefaults = (model) => ({
+    ...DEFAULT_CAPABILITIES,
+    ...PROVIDER_CAPABILITIES[provider.name],
+    label: model.id,
+    ...model,
+  });
+
+  if (!provider.modelNames) return catalog.map(withDefaults);
+
+  return provider.modelNames.map((id) =>
+    withDefaults(catalog.find((model) => model.id === id) || { id })
+  );
+};
+
+/**
+ * Order models for one request: the preferred model first, then the rest of
+ * the chain. Models without vision or document support are skipped when the
+ * request has images or PDFs, and models without function calling when it
+ * carries tool results.
+ */
+export const resolveModelChain = (models, { preferred, needsVision, needsDocuments, needsTools }) => {
+  const eligible = models.filter(
+    (model) =>
+      (!needsVision || model.vision) &&
+      (!needsDocuments || model.documents) &&
+      (!needsTools || model.tools)
+  );
+  const first = eligible.find((model) => model.id === preferred);
+  return first ? [first, ...eligible.filter((model) => model !== first)] : eligible;
+};
+
+/**
+ * Tokens of history and new message that fit in one request to `model`: its
+ * context window minus the room kept for the reply.
+ */
+export const getContextBudget = (model, generationConfig) =>
+  model.maxInputTokens - Math.min(generationConfig?.maxOutputTokens || model.maxOutputTokens, model.maxOutputTokens);
+
+/**
+ * Fit validated generation settings to one model: output length is capped at
+ * what the model supports and settings it doesn't accept are dropped.
+ */
+export const fitGenerationConfig = (config, model) => {
+  if (!config) return undefined;
+  const { topK, safetySettings, maxOutputTokens, ...rest } = config;
+  return {
+    ...rest,
+    ...(maxOutputTokens && { maxOutputTokens: Math.min(maxOutputTokens, model.maxOutputTokens) }),
+    ...(model.topK && topK !== undefined && { topK }),
+    ...(model.safetySettings && safetySettings?.length > 0 && { safetySettings }),
+  };
+};
+
+// The subset of a model definition exposed to the browser
+export const toPublicModel = ({
+  id,
+  label,
+  vision,
+  documents,
+  maxInputTokens,
+  maxOutputTokens,
+  topK,
+  safetySettings,
+  tools,
+}) => ({
+  id,
+  label,
+  vision,
+  documents,
+  maxInputTokens,
+  maxOutputTokens,
+  topK,
+  safetySettings,
+  tools,
+});
@@ -0,0 +1,28 @@
+// Personas: named system prompts, optionally with a default model and
+// generation settings.
+//
+// A conversation uses at most one of `personaId` (a saved persona) or
+// `customPrompt` (a one-off prompt for that conversation alone).
+
+export const createPersona = ({ name = 'New persona', prompt = '', model = null, generationSettings = null } = {}) => ({
+  id: `persona-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  prompt,
+  model,
+  generationSettings,
+});
+
+export const duplicatePersona = (persona) => ({
+  ...createPersona(persona),
+  name: `${persona.name} (copy)`,
+});
+
+export const getConversationPersona = (conv, personas) =>
+  (conv?.personaId && personas.find(p => p.id === conv.personaId)) || null;
+
+// The extra system instruction sent with this conversation's requests, if any
+export const getSystemPrompt = (conv, personas) => {
+  const persona = getConversationPersona(conv, personas);
+  const prompt = persona ? persona.prompt : conv?.customPrompt;
+  return prompt?.trim() || undefined;
+};
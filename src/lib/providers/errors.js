@@ -0,0 +1,94 @@
+// Common error shape for every LLM provider, so the chat route can decide on
+// retries and status codes without knowing which backend it talked to.
+//
+// Every failure maps to one stable error code that the API returns and the
+// client keys its messages on:
+//   RATE_LIMITED, QUOTA_EXCEEDED, AUTH, MODEL_NOT_FOUND, BAD_REQUEST,
+//   CONTEXT_TOO_LONG, SAFETY_BLOCKED, RECITATION, EMPTY_RESPONSE, TIMEOUT,
+//   UPSTREAM_UNAVAILABLE, UPSTREAM_ERROR
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} message Human-readable upstream message
+   * @param {object} [options]
+   * @param {number} [options.status] HTTP-style status code from the upstream
+   * @param {string} [options.provider] Provider name, e.g. "gemini"
+   * @param {number} [options.retryAfter] Seconds the upstream asked us to wait
+   * @param {"rate" | "daily"} [options.quota] Which quota a 429 exhausted, if known
+   * @param {boolean} [options.timeout] The call was cut off by our own timeout
+   * @param {string} [options.code] Error code, when the status alone doesn't say
+   *   (e.g. a 400 that means the context is too long)
+   * @param {unknown} [options.cause] Original error
+   */
+  constructor(message, { status, provider, retryAfter, quota, timeout, code, cause } = {}) {
+    super(message, { cause });
+    this.name = "ProviderError";
+    this.status = status;
+    this.provider = provider;
+    this.retryAfter = retryAfter;
+    this.quota = quota;
+    this.timeout = Boolean(timeout);
+    this.code = code;
+  }
+}
+
+// Finish reasons for output withheld by content filters
+const BLOCKED_FINISH_REASONS = new Set([
+  "SAFETY",
+  "PROHIBITED_CONTENT",
+  "BLOCKLIST",
+  "SPII",
+  "IMAGE_SAFETY",
+]);
+
+export const isBlockedFinishReason = (finishReason) => BLOCKED_FINISH_REASONS.has(finishReason);
+
+/**
+ * Error for a reply that finished without any text. Blocked replies get a 400
+ * so the route doesn't retry the same prompt on another model.
+ */
+export const emptyResponseError = (finishReason, provider) => {
+  if (isBlockedFinishReason(finishReason)) {
+    return new ProviderError(`Response blocked (${finishReason})`, {
+      status: 400,
+      provider,
+      code: "SAFETY_BLOCKED",
+    });
+  }
+  if (finishReason === "RECITATION") {
+    return new ProviderError("Response blocked for reciting copyrighted material", {
+      status: 400,
+      provider,
+      code: "RECITATION",
+    });
+  }
+  return new ProviderError(
+    `No text response received${finishReason ? ` (${finishReason})` : ""}`,
+    { provider, code: "EMPTY_RESPONSE" }
+  );
+};
+
+// The error code for any failure, from what the provider said or the status
+export const errorCodeOf = (error) => {
+  if (error instanceof ProviderError && error.code) return error.code;
+  if (error?.timeout || error?.name === "TimeoutError") return "TIMEOUT";
+
+  const status = error?.status;
+  if (status === 429) return error?.quota === "daily" ? "QUOTA_EXCEEDED" : "RATE_LIMITED";
+  if (status === 401 || status === 403) return "AUTH";
+  if (status === 404) return "MODEL_NOT_FOUND";
+  if (status === 413) return "CONTEXT_TOO_LONG";
+  if (status === 504) return "TIMEOUT";
+  if (status === 502 || status === 503) return "UPSTREAM_UNAVAILABLE";
+  if (status >= 400 && status < 500) return "BAD_REQUEST";
+  return "UPSTREAM_ERROR";
+};
+
+// Parse a Retry-After header value (seconds or HTTP date) into seconds
+export const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
@@ -0,0 +1,189 @@
+import { GoogleGenAI } from "@google/genai";
+import { ProviderError } from "./errors";
+
+// "17s" / "1.5s" style durations used in google.rpc.RetryInfo
+const parseDuration = (value) => {
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds : undefined;
+};
+
+// Gemini API errors carry the upstream JSON body in their message, sometimes
+// after a "got status: ..." prefix. 429s include retry and quota details.
+const toProviderError = (error) => {
+  if (error instanceof ProviderError || error?.name === "AbortError") return error;
+
+  let message = error?.error?.message || error?.message || "Unknown error";
+  let details = [];
+  const jsonStart = message.indexOf("{");
+  if (jsonStart !== -1) {
+    try {
+      const body = JSON.parse(message.slice(jsonStart));
+      message = body?.error?.message || message;
+      details = body?.error?.details || [];
+    } catch {
+      // Plain-text message
+    }
+  }
+
+  const retryInfo = details.find((detail) => detail?.["@type"]?.endsWith("RetryInfo"));
+  const quotaFailure = details.find((detail) => detail?.["@type"]?.endsWith("QuotaFailure"));
+  const dailyQuota = (quotaFailure?.violations || []).some((violation) =>
+    /PerDay/i.test(violation?.quotaId || "")
+  );
+
+  // Oversized prompts come back as a plain 400 INVALID_ARGUMENT
+  const contextTooLong = error?.status === 400 && /input token count|maximum number of tokens/i.test(message);
+
+  return new ProviderError(message, {
+    status: error?.status,
+    provider: "gemini",
+    retryAfter: parseDuration(retryInfo?.retryDelay),
+    quota: quotaFailure ? (dailyQuota ? "daily" : "rate") : undefined,
+    code: contextTooLong ? "CONTEXT_TOO_LONG" : undefined,
+    cause: error,
+  });
+};
+
+// Tool parameters are JSON Schema, which Gemini takes as `parametersJsonSchema`
+const toTools = (tools) => [{
+  functionDeclarations: tools.map(({ name, description, parameters }) => ({
+    name,
+    description,
+    parametersJsonSchema: parameters,
+  })),
+}];
+
+// Generation settings already use Gemini's names and go into config as-is
+const toRequest = ({ model, contents, systemInstruction, generationConfig, tools, toolChoice, signal }) => ({
+  model,
+  contents,
+  config: {
+    ...generationConfig,
+    ...(systemInstruction && { systemInstruction }),
+    ...(tools?.length > 0 && { tools: toTools(tools) }),
+    ...(toolChoice === "none" && { toolConfig: { functionCallingConfig: { mode: "NONE" } } }),
+    abortSignal: signal,
+  },
+});
+
+const partsOf = (response) => response?.candidates?.[0]?.content?.parts || [];
+
+// Read text from the parts directly: `response.text` warns whenever there are
+// function calls next to it. Thought summaries aren't part of the answer.
+const textOf = (response) =>
+  partsOf(response)
+    .filter((part) => part.text && !part.thought)
+    .map((part) => part.text)
+    .join("");
+
+// Images and code execution from multimodal models, in order with the text.
+// Left out when the answer is text only, so callers can use `text` alone.
+const contentPartsOf = (response) => {
+  const parts = partsOf(response)
+    .filter((part) => !part.thought)
+    .flatMap((part) => {
+      if (part.text) return [{ type: "text", text: part.text }];
+      if (part.inlineData?.data) {
+        return [{ type: "image", mimeType: part.inlineData.mimeType, data: part.inlineData.data }];
+      }
+      if (part.executableCode) {
+        const { language, code } = part.executableCode;
+        return [{ type: "code", language: language?.toLowerCase() || "python", code: code || "" }];
+      }
+      if (part.codeExecutionResult) {
+        const { outcome, output } = part.codeExecutionResult;
+        return [{ type: "codeResult", outcome: outcome || "OUTCOME_OK", output: output || "" }];
+      }
+      return [];
+    });
+  return parts.some((part) => part.type !== "text") ? parts : undefined;
+};
+
+// Gemini 3 signs function calls, and the signature must come back with the call
+const functionCallsOf = (response) => {
+  const calls = partsOf(response)
+    .filter((part) => part.functionCall)
+    .map(({ functionCall, thoughtSignature }) => ({
+      id: functionCall.id,
+      name: functionCall.name,
+      args: functionCall.args || {},
+      signature: thoughtSignature,
+    }));
+  return calls.length > 0 ? calls : undefined;
+};
+
+// A blocked prompt has no candidates, only a block reason ("SAFETY", ...)
+const finishReasonOf = (response) =>
+  response?.candidates?.[0]?.finishReason || response?.promptFeedback?.blockReason;
+
+// Thinking tokens are billed as output
+const usageOf = (response) => {
+  const metadata = response?.usageMetadata;
+  if (!metadata?.totalTokenCount) return undefined;
+  return {
+    promptTokens: metadata.promptTokenCount || 0,
+    outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+    totalTokens: metadata.totalTokenCount,
+  };
+};
+
+/**
+ * Google Gemini via @google/genai. Contents are passed through unchanged since
+ * the provider-neutral format is Gemini's own.
+ */
+export const createGeminiProvider = ({ apiKey = process.env.GEMINI_API_KEY } = {}) => {
+  let client;
+  const getClient = () => {
+    client ??= new GoogleGenAI({ apiKey });
+    return client;
+  };
+
+  return {
+    name: "gemini",
+
+    configError: () =>
+      apiKey
+        ? null
+        : "API key not configured. Please add GEMINI_API_KEY to your environment variables.",
+
+    async generate(params) {
+      try {
+        const response = await getClient().models.generateContent(toRequest(params));
+        return {
+          text: textOf(response),
+          parts: contentPartsOf(response),
+          finishReason: finishReasonOf(response),
+          usage: usageOf(response),
+          functionCalls: functionCallsOf(response),
+        };
+      } catch (error) {
+        throw toProviderError(error);
+      }
+    },
+
+    async stream(params) {
+      let responseStream;
+      try {
+        responseStream = await getClient().models.generateContentStream(toRequest(params));
+      } catch (error) {
+        throw toProviderError(error);
+      }
+
+      return (async function* () {
+        try {
+          for await (const chunk of responseStream) {
+            yield {
+              text: textOf(chunk),
+              parts: contentPartsOf(chunk),
+              finishReason: finishReasonOf(chunk),
+              usage: usageOf(chunk),
+              functionCalls: functionCallsOf(chunk),
+            };
+          }
+        } catch (error) {
+          throw toProviderError(error);
+        }
+      })();
+    },
+  };
+};
@@ -0,0 +1,62 @@
+// LLM provider registry. The chat route talks to whichever provider
+// `LLM_PROVIDER` selects ("gemini" by default, "openai" or "mock").
+//
+// Every provider implements the same interface:
+//
+//   name            Provider id; also its key in the model catalog
+//   modelNames      Optional model list from the environment, overriding the
+//                   catalog order (see src/config/models.js)
+//   configError()   Message describing missing configuration, or null
+//   generate(p)     Resolves to { text, parts, finishReason, usage,
+//                   functionCalls }
+//   stream(p)       Resolves to an async iterable of { text, parts,
+//                   finishReason, usage, functionCalls } chunks once the
+//                   upstream accepted the request
+//
+// where `p` is { model, contents, systemInstruction, generationConfig, tools,
+// toolChoice, signal } and `contents` uses Gemini's shape: [{ role: "user" |
+// "model", parts: [{ text } | { inlineData: { mimeType, data } } |
+// { functionCall: { id, name, args } } | { functionResponse: { id, name,
+// response } }] }]. `generationConfig` and `finishReason` use Gemini's names
+// too ("STOP", "MAX_TOKENS", "SAFETY", ...). `usage` is { promptTokens,
+// outputTokens, totalTokens } when the upstream reports it; in a stream the
+// last chunk that has it holds the totals.
+//
+// `tools` are function declarations from src/lib/tools, and `toolChoice:
+// "none"` forbids calling them. `functionCalls` lists the calls the model
+// made, as [{ id, name, args, signature }]; see src/lib/tools for the loop.
+//
+// `parts` is only set when the answer has more than text: all of it in order,
+// as [{ type: "text", text } | { type: "image", mimeType, data } |
+// { type: "code", language, code } | { type: "codeResult", outcome, output }]
+// (see src/lib/messageParts.js). `text` still holds the text alone.
+// Failures are thrown as ProviderError; see errors.js for the error codes.
+
+import { createGeminiProvider } from "./gemini";
+import { createOpenAIProvider } from "./openai";
+import { createMockProvider } from "./mock";
+
+export { emptyResponseError, errorCodeOf, isBlockedFinishReason, ProviderError } from "./errors";
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+let cached;
+
+export const getProvider = () => {
+  const name = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  if (cached?.name === name) return cached;
+
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(FACTORIES).join(", ")}`
+    );
+  }
+
+  cached = factory();
+  return cached;
+};
@@ -0,0 +1,160 @@
+import { ProviderError } from "./errors";
+
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+
+const lastUserText = (contents) => {
+  const last = [...contents].reverse().find((content) => content.role === "user");
+  return (last?.parts || [])
+    .filter((part) => part.text)
+    .map((part) => part.text)
+    .join("\n");
+};
+
+// Build the canned reply; `[mock:error:<status>]` in the prompt simulates a failure
+const respond = ({ model, contents }) => {
+  const prompt = lastUserText(contents);
+
+  const forcedError = prompt.match(/\[mock:error:(\d{3})\]/);
+  if (forcedError) {
+    const status = Number(forcedError[1]);
+    throw new ProviderError(`Mock ${status} error`, {
+      status,
+      provider: "mock",
+      retryAfter: status === 429 ? 5 : undefined,
+    });
+  }
+
+  const inline = contents.at(-1)?.parts.filter((part) => part.inlineData) || [];
+  const documents = inline.filter((part) => part.inlineData.mimeType === "application/pdf").length;
+  const images = inline.length - documents;
+  const turns = contents.filter((content) => content.role === "user").length;
+
+  return [
+    `**Mock response** from \`${model}\` (turn ${turns}).`,
+    images > 0 ? `I received ${images} image${images > 1 ? "s" : ""}.` : null,
+    documents > 0 ? `I received ${documents} PDF document${documents > 1 ? "s" : ""}.` : null,
+    `You said:\n\n> ${prompt.split("\n").join("\n> ")}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+};
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Treat each word as one token so maxOutputTokens can be exercised offline
+const limitOutput = (text, { maxOutputTokens } = {}) => {
+  const words = text.match(/\S+\s*/g) || [];
+  return maxOutputTokens && words.length > maxOutputTokens
+    ? { words: words.slice(0, maxOutputTokens), finishReason: "MAX_TOKENS" }
+    : { words, finishReason: "STOP" };
+};
+
+// `[mock:tool:<name> <json args>]` in the prompt calls that tool; the reply
+// after its result echoes the result
+const toolReply = ({ contents, tools, toolChoice }) => {
+  const results = contents.at(-1)?.parts.filter((part) => part.functionResponse) || [];
+  if (results.length > 0) {
+    const lines = results.map(({ functionResponse }) =>
+      `- \`${functionResponse.name}\`: \`${JSON.stringify(functionResponse.response)}\``
+    );
+    return { words: `Tool results:\n\n${lines.join("\n")}`.match(/\S+\s*/g), finishReason: "STOP" };
+  }
+
+  const call = lastUserText(contents).match(/\[mock:tool:(\w+)(?:\s+(\{.*?\}))?\]/);
+  if (!call || toolChoice === "none" || !tools?.some((tool) => tool.name === call[1])) return null;
+  let args = {};
+  try {
+    args = JSON.parse(call[2] || "{}");
+  } catch {
+    // Malformed arguments in the prompt; call without any
+  }
+  return {
+    words: [],
+    finishReason: "STOP",
+    functionCalls: [{ id: `mock-call-${contents.length}`, name: call[1], args }],
+  };
+};
+
+// A 1x1 PNG
+const MOCK_IMAGE = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==";
+
+// What `[mock:parts]` adds after the text, like a model that ran code and drew
+const MOCK_PARTS = [
+  { type: "code", language: "python", code: "print(6 * 7)\n" },
+  { type: "codeResult", outcome: "OUTCOME_OK", output: "42\n" },
+  { type: "image", mimeType: "image/png", data: MOCK_IMAGE },
+];
+
+// `[mock:safety]` in the prompt simulates a reply withheld by safety filters
+const generateReply = (params) => {
+  const tool = toolReply(params);
+  if (tool) return tool;
+  const prompt = lastUserText(params.contents);
+  if (/\[mock:safety\]/.test(prompt)) return { words: [], finishReason: "SAFETY" };
+  const reply = limitOutput(respond(params), params.generationConfig);
+  return /\[mock:parts\]/.test(prompt) ? { ...reply, extraParts: MOCK_PARTS } : reply;
+};
+
+// Word counts again, plus a flat 258 per attachment like Gemini's image cost
+const mockUsage = ({ contents, systemInstruction }, words) => {
+  const parts = contents.flatMap((content) => content.parts);
+  const promptTokens =
+    countWords(systemInstruction || "") +
+    parts.reduce((sum, part) => sum + (part.inlineData ? 258 : countWords(part.text || "")), 0);
+  return { promptTokens, outputTokens: words.length, totalTokens: promptTokens + words.length };
+};
+
+/**
+ * Deterministic offline provider for development and tests. Replies echo the
+ * prompt; streaming emits one word at a time every `MOCK_CHUNK_DELAY_MS`.
+ */
+export const createMockProvider = ({
+  chunkDelay = Number(process.env.MOCK_CHUNK_DELAY_MS ?? 30),
+} = {}) => ({
+  name: "mock",
+
+  configError: () => null,
+
+  async generate(params) {
+    const { words, finishReason, functionCalls, extraParts } = generateReply(params);
+    const text = words.join("");
+    return {
+      text,
+      parts: extraParts && [{ type: "text", text }, ...extraParts],
+      finishReason,
+      usage: mockUsage(params, words),
+      functionCalls,
+    };
+  },
+
+  async stream(params) {
+    const { words, finishReason, functionCalls, extraParts } = generateReply(params);
+
+    return (async function* () {
+      if (words.length === 0) {
+        yield { text: "", finishReason, usage: mockUsage(params, words), functionCalls };
+      }
+      for (const [i, word] of words.entries()) {
+        await delay(chunkDelay, params.signal);
+        yield {
+          text: word,
+          ...(i === words.length - 1 && !extraParts && { finishReason, usage: mockUsage(params, words) }),
+        };
+      }
+      if (extraParts) {
+        yield { text: "", parts: extraParts, finishReason, usage: mockUsage(params, words) };
+      }
+    })();
+  },
+});
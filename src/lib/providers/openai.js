@@ -0,0 +1,238 @@
+import { iterateEventStream } from "@/lib/sse";
+import { ProviderError, parseRetryAfter } from "./errors";
+
+// Convert provider-neutral (Gemini-style) contents into chat completion messages
+const toMessages = (contents, systemInstruction) => {
+  const messages = systemInstruction
+    ? [{ role: "system", content: systemInstruction }]
+    : [];
+
+  for (const content of contents) {
+    const role = content.role === "model" ? "assistant" : "user";
+    const hasInlineData = content.parts.some((part) => part.inlineData);
+    const calls = content.parts.filter((part) => part.functionCall);
+    const results = content.parts.filter((part) => part.functionResponse);
+
+    // Tool calls go on an assistant message; each result is its own "tool" message
+    if (calls.length > 0) {
+      const text = content.parts.map((part) => part.text || "").join("");
+      messages.push({
+        role: "assistant",
+        content: text || null,
+        tool_calls: calls.map(({ functionCall: { id, name, args } }) => ({
+          id,
+          type: "function",
+          function: { name, arguments: JSON.stringify(args || {}) },
+        })),
+      });
+      continue;
+    }
+    if (results.length > 0) {
+      for (const { functionResponse: { id, response } } of results) {
+        messages.push({ role: "tool", tool_call_id: id, content: JSON.stringify(response) });
+      }
+      continue;
+    }
+
+    if (!hasInlineData) {
+      messages.push({
+        role,
+        content: content.parts.map((part) => part.text || "").join("\n\n"),
+      });
+      continue;
+    }
+
+    messages.push({
+      role,
+      content: content.parts.map((part) => {
+        if (!part.inlineData) return { type: "text", text: part.text || "" };
+
+        const url = `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`;
+        if (part.inlineData.mimeType === "application/pdf") {
+          return { type: "file", file: { filename: "document.pdf", file_data: url } };
+        }
+        return { type: "image_url", image_url: { url } };
+      }),
+    });
+  }
+
+  return messages;
+};
+
+// Finish reasons in Gemini's vocabulary, which the route and UI use
+const FINISH_REASONS = {
+  stop: "STOP",
+  length: "MAX_TOKENS",
+  content_filter: "SAFETY",
+  tool_calls: "STOP",
+};
+
+const toFinishReason = (reason) => (reason ? FINISH_REASONS[reason] || "OTHER" : undefined);
+
+const toUsage = (usage) =>
+  usage
+    ? {
+        promptTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+      }
+    : undefined;
+
+const parseArguments = (json) => {
+  try {
+    return JSON.parse(json || "{}");
+  } catch {
+    return {};
+  }
+};
+
+const toFunctionCalls = (toolCalls) =>
+  toolCalls?.length > 0
+    ? toolCalls.map(({ id, function: fn }) => ({ id, name: fn?.name, args: parseArguments(fn?.arguments) }))
+    : undefined;
+
+// Top-k and safety settings have no equivalent here and are never passed in
+const toSamplingOptions = ({ temperature, topP, maxOutputTokens, stopSequences } = {}) => ({
+  ...(temperature !== undefined && { temperature }),
+  ...(topP !== undefined && { top_p: topP }),
+  ...(maxOutputTokens && { max_tokens: maxOutputTokens }),
+  ...(stopSequences?.length > 0 && { stop: stopSequences }),
+});
+
+// OpenAI-style errors are `{ error: { message, code } }`; local servers often
+// send plain text
+const errorFromResponse = async (response) => {
+  const body = await response.text().catch(() => "");
+  let message = body || response.statusText || `HTTP ${response.status}`;
+  let code;
+  try {
+    const parsed = JSON.parse(body);
+    message = parsed?.error?.message || parsed?.error || parsed?.message || message;
+    code = parsed?.error?.code;
+  } catch {
+    // Plain-text body
+  }
+
+  return new ProviderError(String(message), {
+    status: response.status,
+    provider: "openai",
+    retryAfter: parseRetryAfter(response.headers.get("retry-after")),
+    code: code === "context_length_exceeded" ? "CONTEXT_TOO_LONG" : undefined,
+  });
+};
+
+const toProviderError = (error) => {
+  if (error instanceof ProviderError || error?.name === "AbortError") return error;
+  // fetch() itself failed: the server is unreachable
+  return new ProviderError(error?.message || "Network error", {
+    status: 503,
+    provider: "openai",
+    cause: error,
+  });
+};
+
+/**
+ * Any server speaking the OpenAI chat completions API (OpenAI, Ollama, vLLM,
+ * LM Studio, ...). `OPENAI_API_KEY` is optional for local servers.
+ */
+export const createOpenAIProvider = ({
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY,
+  models = process.env.OPENAI_MODELS,
+} = {}) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+  const modelNames = (models || "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean);
+
+  const request = async ({ model, contents, systemInstruction, generationConfig, tools, toolChoice, signal }, stream) => {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({
+          model,
+          messages: toMessages(contents, systemInstruction),
+          ...toSamplingOptions(generationConfig),
+          ...(tools?.length > 0 && {
+            tools: tools.map((declaration) => ({ type: "function", function: declaration })),
+            ...(toolChoice && { tool_choice: toolChoice }),
+          }),
+          stream,
+          // Streams only report token counts (in a final chunk) when asked
+          ...(stream && { stream_options: { include_usage: true } }),
+        }),
+        signal,
+      });
+    } catch (error) {
+      throw toProviderError(error);
+    }
+
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+    return response;
+  };
+
+  return {
+    name: "openai",
+    modelNames,
+
+    configError: () =>
+      modelNames.length > 0
+        ? null
+        : "No models configured. Please set OPENAI_MODELS to a comma-separated list of model names.",
+
+    async generate(params) {
+      const response = await request(params, false);
+      const data = await response.json();
+      const choice = data?.choices?.[0];
+      return {
+        text: choice?.message?.content || "",
+        finishReason: toFinishReason(choice?.finish_reason),
+        usage: toUsage(data?.usage),
+        functionCalls: toFunctionCalls(choice?.message?.tool_calls),
+      };
+    },
+
+    async stream(params) {
+      const response = await request(params, true);
+
+      return (async function* () {
+        // Tool calls stream in pieces (arguments a few characters at a time),
+        // keyed by index; they're emitted whole with the finish reason
+        const toolCalls = [];
+        try {
+          for await (const { data } of iterateEventStream(response.body)) {
+            if (data === "[DONE]") return;
+            if (data?.error) {
+              throw new ProviderError(data.error.message || String(data.error), {
+                provider: "openai",
+              });
+            }
+            const choice = data?.choices?.[0];
+            for (const delta of choice?.delta?.tool_calls || []) {
+              const call = (toolCalls[delta.index ?? toolCalls.length] ??= { id: delta.id, function: { name: "", arguments: "" } });
+              call.id ??= delta.id;
+              call.function.name += delta.function?.name || "";
+              call.function.arguments += delta.function?.arguments || "";
+            }
+            yield {
+              text: choice?.delta?.content || "",
+              finishReason: toFinishReason(choice?.finish_reason),
+              usage: toUsage(data?.usage),
+              ...(choice?.finish_reason && { functionCalls: toFunctionCalls(toolCalls.splice(0)) }),
+            };
+          }
+        } catch (error) {
+          throw toProviderError(error);
+        }
+      })();
+    },
+  };
+};
@@ -0,0 +1,196 @@
+// Per-client rate limiting for the chat API.
+//
+// Each client gets two token buckets: one counting requests and one counting
+// bytes of attachment data uploaded. Buckets live in a pluggable store; the default
+// is in memory, which is per server instance. To share limits across
+// instances, pass a store with the same async get/set interface backed by
+// Redis or similar.
+
+import { randomUUID } from "node:crypto";
+
+export const SESSION_COOKIE = "flashchat_session";
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Number of reverse proxies in front of the app; "true" means one
+const trustedProxyHops = () =>
+  process.env.TRUST_PROXY === "true" ? 1 : Math.floor(envNumber("TRUST_PROXY", 0));
+
+// Read on each call so tests and deployments can change them via env
+export const getRateLimitConfig = () => ({
+  enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+  // Also limit per session cookie, on top of per IP
+  bySession: process.env.RATE_LIMIT_BY_SESSION === "true",
+  // Forwarding headers are only believed behind this many trusted proxies
+  trustProxy: trustedProxyHops(),
+  requests: {
+    capacity: envNumber("RATE_LIMIT_REQUESTS", 20),
+    refillPerMinute: envNumber("RATE_LIMIT_REQUESTS_PER_MINUTE", 10),
+  },
+  // Named for images, which were the only uploads when this was introduced
+  uploadBytes: {
+    capacity: envNumber("RATE_LIMIT_IMAGE_BYTES", 40 * 1024 * 1024),
+    refillPerMinute: envNumber("RATE_LIMIT_IMAGE_BYTES_PER_MINUTE", 20 * 1024 * 1024),
+  },
+});
+
+/**
+ * In-memory bucket store. Entries expire after `ttlMs`; expired entries are
+ * swept lazily so the map can't grow without bound.
+ */
+export const createMemoryStore = ({ sweepEvery = 1000 } = {}) => {
+  const entries = new Map();
+  let writes = 0;
+
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (++writes % sweepEvery === 0) sweep(Date.now());
+    },
+  };
+};
+
+let defaultStore = createMemoryStore();
+
+// Swap the backing store, e.g. for a shared Redis-backed one
+export const setRateLimitStore = (store) => {
+  defaultStore = store;
+};
+
+/**
+ * Take `cost` tokens from a bucket. Returns whether that was allowed, what is
+ * left, and how many seconds until enough tokens refill if it wasn't.
+ */
+export const consumeTokens = async (
+  key,
+  { capacity, refillPerMinute },
+  cost = 1,
+  { store = defaultStore, now = Date.now() } = {}
+) => {
+  const refillPerMs = refillPerMinute / 60000;
+  const saved = await store.get(key);
+
+  let tokens = capacity;
+  if (saved) {
+    tokens = Math.min(capacity, saved.tokens + (now - saved.updatedAt) * refillPerMs);
+  }
+
+  // A single request bigger than the whole bucket can never succeed
+  if (cost > capacity) {
+    return { allowed: false, remaining: Math.floor(tokens), retryAfter: null };
+  }
+
+  const allowed = tokens >= cost;
+  if (allowed) tokens -= cost;
+
+  // Keep the entry until the bucket would be full again
+  const ttlMs = refillPerMs > 0 ? Math.ceil((capacity - tokens) / refillPerMs) + 1000 : 24 * 60 * 60 * 1000;
+  await store.set(key, { tokens, updatedAt: now }, ttlMs);
+
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    retryAfter: allowed
+      ? 0
+      : refillPerMs > 0
+        ? Math.ceil((cost - tokens) / refillPerMs / 1000)
+        : null,
+  };
+};
+
+/**
+ * Client IP as seen by the outermost of `trustProxy` trusted proxies. Each
+ * proxy appends the address it got the request from to X-Forwarded-For, so
+ * the entry `trustProxy` places from the right is the client and anything
+ * further left is whatever the client sent. Null when there is no trusted
+ * proxy, since the headers could then say anything.
+ */
+export const getClientIp = (request, trustProxy = getRateLimitConfig().trustProxy) => {
+  if (!trustProxy) return null;
+  const hops = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  if (hops.length > 0) return hops[Math.max(0, hops.length - trustProxy)];
+  return request.headers.get("x-real-ip") || null;
+};
+
+const readCookie = (request, name) => {
+  const header = request.headers.get("cookie") || "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+};
+
+/**
+ * Identify the client for rate limiting: by IP behind a trusted proxy, and by
+ * session cookie when session limiting is on or the IP isn't known. When the
+ * browser has no session cookie yet, `setCookie` holds one to send back.
+ */
+export const identifyClient = (request, config = getRateLimitConfig()) => {
+  const ip = getClientIp(request, config.trustProxy);
+  const ipKeys = ip ? [`ip:${ip}`] : [];
+  if (ip && !config.bySession) return { keys: ipKeys, setCookie: null };
+
+  let session = readCookie(request, SESSION_COOKIE);
+  let setCookie = null;
+  if (!session || !/^[\w-]{8,64}$/.test(session)) {
+    session = randomUUID();
+    setCookie = `${SESSION_COOKIE}=${session}; Path=/; HttpOnly; SameSite=Lax; Max-Age=31536000`;
+  }
+
+  return { keys: [...ipKeys, `session:${session}`], setCookie };
+};
+
+// Check every key against one bucket type; the longest wait wins
+const consumeAll = async (keys, prefix, limits, cost) => {
+  let result = { allowed: true, remaining: Infinity, retryAfter: 0 };
+  for (const key of keys) {
+    const next = await consumeTokens(`${prefix}:${key}`, limits, cost);
+    if (!next.allowed) return next;
+    result = { ...result, remaining: Math.min(result.remaining, next.remaining) };
+  }
+  return result;
+};
+
+export const checkRequestLimit = (client, config = getRateLimitConfig()) =>
+  consumeAll(client.keys, "req", config.requests, 1);
+
+export const checkUploadBytesLimit = (client, bytes, config = getRateLimitConfig()) =>
+  bytes > 0
+    ? consumeAll(client.keys, "upload", config.uploadBytes, bytes)
+    : Promise.resolve({ allowed: true, remaining: config.uploadBytes.capacity, retryAfter: 0 });
+
+// 429 response in the same shape the client already handles for upstream limits
+export const rateLimitResponse = ({ retryAfter }, message) =>
+  Response.json(
+    {
+      error: message,
+      code: "RATE_LIMITED",
+      retryAfter,
+    },
+    {
+      status: 429,
+      headers: retryAfter ? { "Retry-After": String(retryAfter) } : {},
+    }
+  );
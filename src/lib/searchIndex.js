@@ -0,0 +1,139 @@
+// In-memory full-text index over every message, for the sidebar search.
+//
+// The index is updated incrementally: like the IndexedDB save, it relies on
+// immutable updates, so only messages whose object changed are re-tokenized.
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+
+const tokenize = (text) => (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+
+// Cut a window of text around the first match and mark every term inside it
+const buildSnippet = (content, terms) => {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  const first = Math.min(...terms.map(term => {
+    const index = lower.indexOf(term);
+    return index === -1 ? Infinity : index;
+  }));
+  let start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_BEFORE) : 0;
+  // Don't start mid-word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  const ranges = [];
+  for (const term of terms) {
+    let index = lower.indexOf(term, start);
+    while (index !== -1 && index < end) {
+      ranges.push([index, Math.min(end, index + term.length)]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  // Split into { text, match } segments, merging overlapping ranges
+  const segments = [];
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    if (to <= cursor) continue;
+    const matchStart = Math.max(from, cursor);
+    if (matchStart > cursor) segments.push({ text: text.slice(cursor, matchStart), match: false });
+    segments.push({ text: text.slice(matchStart, to), match: true });
+    cursor = to;
+  }
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false });
+
+  return {
+    segments,
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length,
+  };
+};
+
+/**
+ * Create a search index. Call `update(conversations)` before searching; it
+ * only does work for messages that were added, changed or removed.
+ */
+export const createSearchIndex = () => {
+  // message id -> { message, conversationId, tokens }
+  const documents = new Map();
+  // token -> Set of message ids
+  const postings = new Map();
+
+  const remove = (id) => {
+    const doc = documents.get(id);
+    if (!doc) return;
+    for (const token of doc.tokens) {
+      const ids = postings.get(token);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(token);
+    }
+    documents.delete(id);
+  };
+
+  const add = (message, conversationId) => {
+    const tokens = new Set(tokenize(message.content));
+    documents.set(message.id, { message, conversationId, tokens });
+    for (const token of tokens) {
+      if (!postings.has(token)) postings.set(token, new Set());
+      postings.get(token).add(message.id);
+    }
+  };
+
+  const update = (conversations) => {
+    const seen = new Set();
+    for (const conv of conversations) {
+      for (const message of conv.messages) {
+        if (message.isError) continue;
+        seen.add(message.id);
+        const doc = documents.get(message.id);
+        if (doc?.message === message && doc.conversationId === conv.id) continue;
+        remove(message.id);
+        add(message, conv.id);
+      }
+    }
+    for (const id of [...documents.keys()]) {
+      if (!seen.has(id)) remove(id);
+    }
+  };
+
+  // Ids of messages with a token starting with `term`
+  const lookup = (term) => {
+    const ids = new Set();
+    for (const [token, tokenIds] of postings) {
+      if (token.startsWith(term)) tokenIds.forEach(id => ids.add(id));
+    }
+    return ids;
+  };
+
+  /**
+   * Messages containing every word of `query` (each as a word prefix), newest
+   * first. Each result has the message, its conversation id and a snippet.
+   */
+  const search = (query, { limit = 50 } = {}) => {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    // Start from the rarest term so the intersection stays small
+    const sets = terms.map(lookup).sort((a, b) => a.size - b.size);
+    const ids = [...sets[0]].filter(id => sets.every(set => set.has(id)));
+
+    return ids
+      .map(id => documents.get(id))
+      .sort((a, b) => String(b.message.timestamp || '').localeCompare(String(a.message.timestamp || '')))
+      .slice(0, limit)
+      .map(({ message, conversationId }) => ({
+        conversationId,
+        message,
+        snippet: buildSnippet(message.content, terms),
+      }));
+  };
+
+  return { update, search };
+};
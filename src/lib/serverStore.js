@@ -0,0 +1,188 @@
+// File-based conversation store behind /api/conversations.
+//
+// Off unless SERVER_STORAGE_DIR is set. Each conversation (messages and
+// attachments included, as the client holds it) is one JSON file, and
+// index.json lists every conversation's `updatedAt` with the server time of
+// its last change, plus tombstones for deleted ones so other devices learn
+// about deletions:
+//
+//   <dir>/index.json                 { conversations: { [id]: { updatedAt, changedAt } },
+//                                      deleted: { [id]: { deletedAt, changedAt } } }
+//   <dir>/conversations/<id>.json
+//
+// The index keys ids as strings; the files keep the client's own id.
+// `updatedAt` is the client's edit time and decides conflicts: a write older
+// than what is stored is refused. `changedAt` is the server's clock and is
+// what `since` in listChanges() compares against. Writes are queued so they
+// never interleave within one server process; run a single instance against
+// a directory.
+
+import { mkdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// Ids become file names
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const isValidConversationId = (id) => ID_PATTERN.test(String(id));
+
+// Read on each call so deployments can change them via env
+export const getServerStorageConfig = () => ({
+  enabled: Boolean(process.env.SERVER_STORAGE_DIR),
+  dir: process.env.SERVER_STORAGE_DIR || null,
+  // When set, requests need `Authorization: Bearer <token>`
+  token: process.env.SERVER_STORAGE_TOKEN || null,
+});
+
+export class ConflictError extends Error {
+  constructor(current) {
+    super("The server has a newer version of this conversation");
+    this.name = "ConflictError";
+    this.current = current;
+  }
+}
+
+const readJson = async (file, fallback) => {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// Write to a temporary file and rename, so a crash never leaves half a file
+const writeJson = async (file, value) => {
+  const temporary = `${file}.${process.pid}.tmp`;
+  await writeFile(temporary, JSON.stringify(value));
+  await rename(temporary, file);
+};
+
+/**
+ * Open the store in `dir`. Conversations are the client's shape:
+ * { id, title, messages, updatedAt, ... }.
+ */
+export const createFileStore = (dir) => {
+  const indexFile = path.join(dir, "index.json");
+  const conversationFile = (id) => path.join(dir, "conversations", `${id}.json`);
+  let queue = mkdir(path.join(dir, "conversations"), { recursive: true });
+
+  // Run `task` after every earlier write has finished
+  const exclusive = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const readIndex = () => readJson(indexFile, { conversations: {}, deleted: {} });
+
+  const write = async (index, conversation) => {
+    const key = String(conversation.id);
+    await writeJson(conversationFile(key), conversation);
+    index.conversations[key] = { updatedAt: conversation.updatedAt || 0, changedAt: Date.now() };
+    delete index.deleted[key];
+    await writeJson(indexFile, index);
+  };
+
+  const get = async (id) => {
+    await queue;
+    return readJson(conversationFile(id), null);
+  };
+
+  return {
+    get,
+
+    /**
+     * Conversations changed and ids deleted after `since` (server time), and
+     * the server time to pass as `since` next time.
+     */
+    async listChanges(since = 0) {
+      await queue;
+      const serverTime = Date.now();
+      const index = await readIndex();
+      const changedIds = Object.entries(index.conversations)
+        .filter(([, entry]) => entry.changedAt > since)
+        .map(([id]) => id);
+      const conversations = (await Promise.all(changedIds.map((id) => readJson(conversationFile(id), null))))
+        .filter(Boolean);
+      const deleted = Object.entries(index.deleted)
+        .filter(([, entry]) => entry.changedAt > since)
+        .map(([id, entry]) => ({ id, deletedAt: entry.deletedAt }));
+      return { conversations, deleted, serverTime };
+    },
+
+    /**
+     * Store a conversation unless the stored one is newer (ConflictError) or
+     * it was deleted after this version. Writing the same `updatedAt` again
+     * is a no-op. Resolves to { conversation, created }.
+     */
+    put: (conversation) => exclusive(async () => {
+      const key = String(conversation.id);
+      const updatedAt = conversation.updatedAt || 0;
+      const index = await readIndex();
+      const existing = index.conversations[key];
+
+      if (existing && existing.updatedAt > updatedAt) {
+        throw new ConflictError(await readJson(conversationFile(key), null));
+      }
+      if (!existing && index.deleted[key]?.deletedAt > updatedAt) {
+        throw new ConflictError(null);
+      }
+      if (existing && existing.updatedAt === updatedAt) {
+        return { conversation: await readJson(conversationFile(key), conversation), created: false };
+      }
+
+      await write(index, conversation);
+      return { conversation, created: !existing };
+    }),
+
+    /**
+     * Apply `change(conversation)` to a stored conversation and stamp it
+     * with the current time; returning the conversation itself leaves it
+     * untouched. Resolves to the result, or null if there is no such
+     * conversation.
+     */
+    update: (id, change) => exclusive(async () => {
+      const index = await readIndex();
+      if (!index.conversations[String(id)]) return null;
+      const current = await readJson(conversationFile(String(id)), null);
+      if (!current) return null;
+      const changed = change(current);
+      if (changed === current) return current;
+
+      // Newer than the stored version even if its writer's clock runs ahead
+      const updatedAt = Math.max(Date.now(), (current.updatedAt || 0) + 1);
+      const conversation = { ...changed, id: current.id, updatedAt };
+      await write(index, conversation);
+      return conversation;
+    }),
+
+    /**
+     * Delete a conversation, leaving a tombstone. A conversation edited after
+     * `deletedAt` is kept (ConflictError). Resolves to whether it existed.
+     */
+    remove: (id, deletedAt = Date.now()) => exclusive(async () => {
+      const key = String(id);
+      const index = await readIndex();
+      const existing = index.conversations[key];
+      if (existing && existing.updatedAt > deletedAt) {
+        throw new ConflictError(await readJson(conversationFile(key), null));
+      }
+
+      await rm(conversationFile(key), { force: true });
+      delete index.conversations[key];
+      index.deleted[key] = { deletedAt, changedAt: Date.now() };
+      await writeJson(indexFile, index);
+      return Boolean(existing);
+    }),
+  };
+};
+
+let cached;
+
+// The store for SERVER_STORAGE_DIR, or null when server storage is off
+export const getServerStore = () => {
+  const { enabled, dir } = getServerStorageConfig();
+  if (!enabled) return null;
+  if (cached?.dir !== dir) cached = { dir, store: createFileStore(path.resolve(dir)) };
+  return cached.store;
+};
@@ -0,0 +1,163 @@
+// Two-way sync between IndexedDB and the server's /api/conversations store.
+//
+// Each run:
+//   1. sends deletions made here since the last run (permanent deletes, not
+//      the trash, which is just a field on the conversation)
+//   2. pulls what changed on the server since the last pull
+//   3. keeps whichever side's copy of each conversation has the newer
+//      `updatedAt`, and writes the server's winners to IndexedDB
+//   4. pushes conversations changed here since the last push; the first run
+//      pushes everything, which uploads existing local conversations
+// The server refuses a push older than its copy (409) and returns that copy,
+// which then replaces the local one. A conversation the server rejects (too
+// large, say) doesn't stop the run; it is retried on the next one.
+//
+// Bookkeeping lives in IndexedDB meta as
+// { pulledAt, pushedAt, pendingDeletes, failedPushes }: `pulledAt` is server
+// time, `pushedAt` local time.
+
+import { loadConversations, loadSyncState, saveConversationChanges, saveSyncState } from '@/lib/conversationStore';
+
+const INITIAL_STATE = { pulledAt: 0, pushedAt: 0, pendingDeletes: [], failedPushes: [] };
+
+export class SyncError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'SyncError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// `answers` are error statuses the caller handles itself, such as conflicts
+const request = async (path, { token, method = 'GET', body, answers = [] } = {}) => {
+  const response = await fetch(`/api/conversations${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: body && JSON.stringify(body),
+  });
+  const data = response.status === 204 ? null : await response.json().catch(() => null);
+  if ((!response.ok && !answers.includes(response.status)) || data?.code === 'NOT_CONFIGURED') {
+    throw new SyncError(data?.error || `Server error: ${response.status}`, data?.code, response.status);
+  }
+  return { status: response.status, data };
+};
+
+// Refused for this conversation alone; anything else (offline, wrong token,
+// server storage off or broken) stops the run
+const isRejection = (error) =>
+  error instanceof SyncError && error.status >= 400 && error.status < 500 && error.status !== 401;
+
+const key = (id) => String(id);
+
+/**
+ * Local conversations with the server's changes applied: a server copy
+ * replaces the local one when it is newer, and a server deletion removes a
+ * local copy that wasn't edited after it. Returns the result and the ids
+ * taken from the server.
+ */
+export const resolveChanges = (local, remote, deleted) => {
+  const localById = new Map(local.map(conv => [key(conv.id), conv]));
+  const taken = new Set();
+  const next = [...local];
+
+  for (const conv of remote) {
+    const mine = localById.get(key(conv.id));
+    if (mine && (mine.updatedAt || 0) >= (conv.updatedAt || 0)) continue;
+    taken.add(key(conv.id));
+    if (mine) next[next.indexOf(mine)] = conv;
+    else next.push(conv);
+  }
+
+  const removed = new Set(deleted
+    .filter(({ id, deletedAt }) => (localById.get(key(id))?.updatedAt || 0) <= deletedAt)
+    .map(({ id }) => key(id)));
+
+  return { next: next.filter(conv => !removed.has(key(conv.id))), taken };
+};
+
+// Apply server copies to IndexedDB; resolves to { changed, deleted } ids
+const writeLocal = async (remote, deleted) => {
+  const { conversations: local } = await loadConversations();
+  const { next, taken } = resolveChanges(local, remote, deleted);
+  const result = await saveConversationChanges(local, next, { keepUpdatedAt: true });
+  return { ...result, local: next, taken };
+};
+
+/** Remember conversations deleted here, to delete them on the server next run. */
+export const queueServerDeletes = async (ids) => {
+  const state = { ...INITIAL_STATE, ...(await loadSyncState()) };
+  const deletedAt = Date.now();
+  await saveSyncState({
+    ...state,
+    pendingDeletes: [...state.pendingDeletes, ...ids.map(id => ({ id, deletedAt }))],
+  });
+};
+
+/** Forget sync progress, so turning sync on again uploads everything. */
+export const resetSyncState = () => saveSyncState(null);
+
+/**
+ * Run one sync. `exclusive(task)` runs IndexedDB writes in line with the
+ * app's own saves and `onChange({ changed, deleted })` reports conversations
+ * updated from the server, like a change from another tab. Resolves with
+ * the conversations the server refused as `failed: [{ id, title, error }]`;
+ * throws SyncError when the whole run fails.
+ */
+export const syncWithServer = async ({ token, exclusive, onChange }) => {
+  const state = { ...INITIAL_STATE, ...(await loadSyncState()) };
+  const startedAt = Date.now();
+
+  for (const { id, deletedAt } of state.pendingDeletes) {
+    // Already gone, or edited on another device since (which then wins)
+    await request(`/${encodeURIComponent(id)}?deletedAt=${deletedAt}`, { token, method: 'DELETE', answers: [404, 409] });
+  }
+
+  const { data: changes } = await request(`?since=${state.pulledAt}`, { token });
+  const applied = await exclusive(() => writeLocal(changes.conversations || [], changes.deleted || []));
+  if (applied.changed.length + applied.deleted.length > 0) onChange(applied);
+
+  // The first run uploads everything; after that, what changed here since
+  // and what the server refused last time
+  const retry = new Set(state.failedPushes.map(key));
+  const toPush = applied.local.filter(conv =>
+    !applied.taken.has(key(conv.id)) &&
+    (state.pushedAt === 0 || (conv.updatedAt || 0) > state.pushedAt || retry.has(key(conv.id)))
+  );
+  const newer = [];
+  const gone = [];
+  const failed = [];
+  for (const conv of toPush) {
+    try {
+      const { status, data } = await request(`/${encodeURIComponent(conv.id)}`, {
+        token,
+        method: 'PUT',
+        body: conv,
+        answers: [409],
+      });
+      if (status === 409 && data?.conversation) newer.push(data.conversation);
+      else if (status === 409) gone.push({ id: conv.id, deletedAt: Date.now() });
+    } catch (error) {
+      if (!isRejection(error)) throw error;
+      failed.push({ id: conv.id, title: conv.title, error: error.message });
+    }
+  }
+  if (newer.length + gone.length > 0) {
+    const result = await exclusive(() => writeLocal(newer, gone));
+    if (result.changed.length + result.deleted.length > 0) onChange(result);
+  }
+
+  // Deletions queued while this ran are kept for the next run
+  const sent = new Set(state.pendingDeletes.map(({ id }) => key(id)));
+  const current = { ...INITIAL_STATE, ...(await loadSyncState()) };
+  await saveSyncState({
+    pulledAt: changes.serverTime,
+    pushedAt: startedAt,
+    pendingDeletes: current.pendingDeletes.filter(({ id }) => !sent.has(key(id))),
+    failedPushes: failed.map(({ id }) => id),
+  });
+  return { syncedAt: Date.now(), pulled: applied.taken.size, pushed: toPush.length - failed.length, failed };
+};
@@ -0,0 +1,159 @@
+// Speech in the browser: dictating into the composer with the Web Speech API's
+// recognition, and reading replies aloud with speechSynthesis. Both are
+// feature-detected; browsers without them just don't show the controls.
+
+import { MAX_UTTERANCE_CHARS } from '@/config/speech';
+
+const getRecognitionClass = () =>
+  typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+export const isDictationSupported = () => !!getRecognitionClass();
+
+export const isSpeechSynthesisSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Support never changes after load; for useSyncExternalStore
+export const subscribeNever = () => () => {};
+
+/**
+ * Start dictating. `onText(final, interim)` gets everything recognized so far
+ * on each result; `onEnd(error)` runs once when recognition stops, with an
+ * error code ("not-allowed", "no-speech", ...) if it failed. Returns a
+ * function that stops listening; with { discard: true } speech still being
+ * recognized is dropped instead of delivered.
+ */
+export const startDictation = ({ lang, onText, onEnd }) => {
+  const Recognition = getRecognitionClass();
+  const recognition = new Recognition();
+  recognition.lang = lang || navigator.language;
+  recognition.continuous = true;
+  recognition.interimResults = true;
+
+  let error = null;
+  let discarded = false;
+  recognition.onresult = (event) => {
+    if (discarded) return;
+    let final = '';
+    let interim = '';
+    for (const result of event.results) {
+      if (result.isFinal) final += result[0].transcript;
+      else interim += result[0].transcript;
+    }
+    onText(final, interim);
+  };
+  recognition.onerror = (event) => {
+    // Stopping early isn't a failure
+    if (event.error !== 'aborted') error = event.error;
+  };
+  recognition.onend = () => onEnd(error);
+  recognition.start();
+
+  return ({ discard = false } = {}) => {
+    discarded = discard;
+    if (discard) recognition.abort();
+    else recognition.stop();
+  };
+};
+
+// What a listener should hear: no Markdown syntax, and code blocks mentioned
+// rather than spelled out symbol by symbol
+export const toSpokenText = (markdown) => markdown
+  .replace(/```[\s\S]*?(```|$)/g, ' (code block) ')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/^[ \t]{0,3}(#{1,6}|>|[-*+]|\d+\.)[ \t]+/gm, '')
+  .replace(/^[ \t]*\|?[ \t:-]+\|[ \t|:-]*$/gm, '')
+  .replace(/^[ \t]*\||\|[ \t]*$/gm, '')
+  .replace(/[ \t]*\|[ \t]*/g, ', ')
+  .replace(/(\*\*|__|\*|_|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+  // A pause after headings, list items and table rows
+  .replace(/([^\s.!?:;,])[ \t]*\n+/g, '$1.\n')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Sentences packed into pieces no longer than MAX_UTTERANCE_CHARS; a longer
+// sentence is split between words
+const splitForSpeech = (text) => {
+  const sentences = text.match(/[^.!?]+[.!?]*\s*/g) || [];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    for (const word of sentence.match(/\S+\s*/g) || []) {
+      if (current && (current + word).length > MAX_UTTERANCE_CHARS) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += word;
+    }
+    if (current.length > MAX_UTTERANCE_CHARS / 2) {
+      pieces.push(current.trim());
+      current = '';
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+};
+
+/**
+ * Read `markdown` aloud with the given { voiceURI, rate }, replacing whatever
+ * is being read. `onEnd` runs when it finishes or is cancelled.
+ */
+export const speak = (markdown, { voiceURI, rate }, onEnd) => {
+  const synth = window.speechSynthesis;
+  synth.cancel();
+  // Chrome stays paused through cancel(), which would leave this queued silently
+  synth.resume();
+
+  // cancel() can fail every queued piece, so only the first end counts
+  let ended = false;
+  const finish = () => {
+    if (!ended) onEnd();
+    ended = true;
+  };
+
+  const pieces = splitForSpeech(toSpokenText(markdown));
+  if (pieces.length === 0) {
+    finish();
+    return;
+  }
+
+  const voice = synth.getVoices().find(v => v.voiceURI === voiceURI);
+  pieces.forEach((piece, i) => {
+    const utterance = new SpeechSynthesisUtterance(piece);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    utterance.rate = rate;
+    utterance.onerror = finish;
+    if (i === pieces.length - 1) utterance.onend = finish;
+    synth.speak(utterance);
+  });
+};
+
+export const pauseSpeech = () => window.speechSynthesis.pause();
+
+export const resumeSpeech = () => window.speechSynthesis.resume();
+
+export const stopSpeech = () => {
+  if (isSpeechSynthesisSupported()) window.speechSynthesis.cancel();
+};
+
+// The voice list loads asynchronously in some browsers; for useSyncExternalStore
+let voices = [];
+const NO_VOICES = [];
+
+export const subscribeVoices = (callback) => {
+  if (!isSpeechSynthesisSupported()) return () => {};
+  const update = () => {
+    voices = window.speechSynthesis.getVoices();
+    callback();
+  };
+  update();
+  window.speechSynthesis.addEventListener('voiceschanged', update);
+  return () => window.speechSynthesis.removeEventListener('voiceschanged', update);
+};
+
+export const getVoices = () => voices;
+
+export const getServerVoices = () => NO_VOICES;
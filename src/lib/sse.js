@@ -0,0 +1,66 @@
+// Minimal Server-Sent Events helpers shared by the chat route, the providers
+// and the client.
+
+const encoder = new TextEncoder();
+
+// Encode one named event with a JSON payload
+export const encodeEvent = (event, data) =>
+  encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Parse one event block into { event, data }; data is JSON-decoded when possible
+const parseBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+  }
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch {
+    return { event, data: raw };
+  }
+};
+
+/**
+ * Iterate over the events of an SSE response body. Stops when the stream
+ * ends; throws if reading fails (including aborts).
+ */
+export async function* iterateEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const parsed = parseBlock(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (parsed) yield parsed;
+      }
+    }
+
+    const parsed = buffer.trim() ? parseBlock(buffer) : null;
+    if (parsed) yield parsed;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Read an SSE response body and call `onEvent(event, data)` for each event.
+ * Resolves when the stream ends; rejects if reading fails (including aborts).
+ */
+export const readEventStream = async (body, onEvent) => {
+  for await (const { event, data } of iterateEventStream(body)) {
+    onEvent(event, data);
+  }
+};
@@ -0,0 +1,47 @@
+// Change notifications between tabs of the app.
+//
+// Every tab reads and writes the same IndexedDB database, so a message only
+// says what changed and receivers load the data themselves:
+//   { type: 'conversations', changed: [ids], deleted: [ids] }
+//   { type: 'meta', key: 'personas' | 'folders' | 'generationDefaults' | ... }
+// BroadcastChannel is used where available, with `storage` events (which
+// also only reach other tabs) as the fallback.
+
+const CHANNEL_NAME = 'flashchat-sync';
+
+/**
+ * Listen for changes made in other tabs. Returns `{ post, close }`; `post`
+ * notifies every other tab, never this one.
+ */
+export const createTabSync = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => onMessage(e.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (e) => {
+    if (e.key !== CHANNEL_NAME || !e.newValue) return;
+    try {
+      onMessage(JSON.parse(e.newValue).message);
+    } catch (error) {
+      console.error('Ignoring unreadable sync message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: (message) => {
+      try {
+        // The nonce makes repeated messages still count as a change
+        localStorage.setItem(CHANNEL_NAME, JSON.stringify({ message, nonce: Math.random() }));
+      } catch (error) {
+        console.error('Could not notify other tabs:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
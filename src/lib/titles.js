@@ -0,0 +1,34 @@
+// Conversation titles. A conversation starts as "New Conversation", gets a
+// truncated first message when it's sent, and is replaced by a generated
+// title after the first reply unless the user renamed it (`titleEdited`).
+
+import { MAX_TITLE_LENGTH } from '@/config/limits';
+
+export const DEFAULT_TITLE = 'New Conversation';
+
+// Title used until (or instead of) a generated one
+export const fallbackTitle = (text, files = []) => {
+  const trimmed = text.trim().replace(/\s+/g, ' ');
+  if (trimmed) return trimmed.slice(0, 30) + (trimmed.length > 30 ? '...' : '');
+  return files[0]?.name || DEFAULT_TITLE;
+};
+
+/**
+ * Tidy a title the model wrote: first line only, without a "Title:" label,
+ * Markdown, surrounding quotes or a trailing period. Returns '' if nothing
+ * usable is left.
+ */
+export const cleanTitle = (raw) => {
+  const line = (raw || '').split('\n').map(l => l.trim()).find(Boolean) || '';
+  const title = line
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/[*_#`]/g, '')
+    .replace(/^["'“‘]+|["'”’]+$/g, '')
+    .replace(/[.。]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (title.length <= MAX_TITLE_LENGTH) return title;
+  const cut = title.slice(0, MAX_TITLE_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}...`;
+};
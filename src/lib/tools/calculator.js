@@ -0,0 +1,154 @@
+// Arithmetic for the model, which is unreliable at it. Expressions are parsed
+// by hand (never eval'd): numbers, + - * / % ^, parentheses, the constants
+// below and a fixed set of functions.
+
+const CONSTANTS = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI };
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected character "${expression.slice(start).trim()[0]}"`);
+    }
+    if (match[1]) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2]) tokens.push({ type: "name", value: match[2].toLowerCase() });
+    else tokens.push({ type: "op", value: match[3] === "**" ? "^" : match[3] });
+  }
+  return tokens;
+};
+
+// Recursive descent: sum > product > unary > power > call/atom
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (value) => {
+    if (peek()?.type === "op" && peek().value === value) {
+      position += 1;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!take(value)) throw new Error(`Expected "${value}"`);
+  };
+
+  const sum = () => {
+    let value = product();
+    while (true) {
+      if (take("+")) value += product();
+      else if (take("-")) value -= product();
+      else return value;
+    }
+  };
+
+  const product = () => {
+    let value = unary();
+    while (true) {
+      if (take("*")) value *= unary();
+      else if (take("/")) value /= unary();
+      else if (take("%")) value %= unary();
+      else return value;
+    }
+  };
+
+  const unary = () => {
+    if (take("-")) return -unary();
+    if (take("+")) return unary();
+    return power();
+  };
+
+  // Right-associative, and binds tighter than unary minus on its left: -2^2 = -4
+  const power = () => {
+    const base = atom();
+    return take("^") ? base ** unary() : base;
+  };
+
+  const atom = () => {
+    const token = peek();
+    if (!token) throw new Error("Unexpected end of expression");
+    position += 1;
+
+    if (token.type === "number") return token.value;
+    if (token.type === "op" && token.value === "(") {
+      const value = sum();
+      expect(")");
+      return value;
+    }
+    if (token.type === "name") {
+      if (Object.hasOwn(FUNCTIONS, token.value)) {
+        expect("(");
+        const args = [sum()];
+        while (take(",")) args.push(sum());
+        expect(")");
+        return FUNCTIONS[token.value](...args);
+      }
+      if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+      throw new Error(`Unknown name "${token.value}"`);
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const value = sum();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}"`);
+  return value;
+};
+
+/** Evaluate an arithmetic expression; throws on syntax errors. */
+export const evaluate = (expression) => {
+  if (expression.length > MAX_EXPRESSION_LENGTH) throw new Error("Expression is too long");
+  const value = parse(tokenize(expression));
+  if (!Number.isFinite(value)) throw new Error("The result is not a finite number");
+  return value;
+};
+
+export const calculatorTool = {
+  declaration: {
+    name: "calculator",
+    description:
+      "Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, " +
+      "pi, e, and sqrt, cbrt, abs, round, floor, ceil, exp, ln, log (base 10), log2, " +
+      "sin, cos, tan, asin, acos, atan (radians), min, max, pow. Use it for any calculation.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "For example \"(1.07 ^ 10 - 1) * 2500\"" },
+      },
+      required: ["expression"],
+    },
+  },
+  run: ({ expression }) => {
+    // Round away floating-point noise like 0.1 + 0.2 = 0.30000000000000004
+    const value = Number(evaluate(String(expression)).toPrecision(15));
+    return { expression, result: value };
+  },
+};
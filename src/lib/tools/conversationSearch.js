@@ -0,0 +1,46 @@
+// Search over the user's other conversations. They only exist in the
+// browser's IndexedDB, so this tool is declared to the model by the server but
+// run by the client (see `runsOn`), which sends the result back with its next
+// request.
+
+import { CONVERSATION_SEARCH_LIMIT } from "@/config/tools";
+
+export const conversationSearchTool = {
+  runsOn: "client",
+  declaration: {
+    name: "search_conversations",
+    description:
+      "Search the user's past conversations with you by keywords. Returns matching messages " +
+      "with their conversation title and date. Use it when the user refers to something " +
+      "discussed before.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Keywords to look for; every word must match" },
+      },
+      required: ["query"],
+    },
+  },
+};
+
+/**
+ * Run the search in the browser with the sidebar's search index, skipping the
+ * conversation being answered.
+ */
+export const searchConversations = (searchIndex, conversations, { query }, { excludeId } = {}) => {
+  const titles = new Map(conversations.map((conv) => [conv.id, conv.title]));
+  searchIndex.update(conversations);
+
+  const matches = searchIndex
+    .search(String(query || ""), { limit: CONVERSATION_SEARCH_LIMIT * 4 })
+    .filter((result) => result.conversationId !== excludeId)
+    .slice(0, CONVERSATION_SEARCH_LIMIT)
+    .map(({ conversationId, message, snippet }) => ({
+      conversation: titles.get(conversationId),
+      date: message.timestamp?.slice(0, 10),
+      role: message.role,
+      excerpt: `${snippet.truncatedStart ? "…" : ""}${snippet.segments.map((segment) => segment.text).join("")}${snippet.truncatedEnd ? "…" : ""}`,
+    }));
+
+  return { query, matches };
+};
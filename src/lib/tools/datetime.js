@@ -0,0 +1,109 @@
+// Current date and time, and converting a wall-clock time between time zones.
+// Time zones are IANA names ("Europe/Paris"); the user's own zone comes from
+// the browser with each request.
+
+const assertTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new Error(`Unknown time zone "${timeZone}". Use an IANA name such as "America/New_York".`);
+  }
+  return timeZone;
+};
+
+// Wall-clock fields of `date` in `timeZone`
+const wallClock = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+};
+
+// Minutes `timeZone` is ahead of UTC at `date`
+const offsetMinutes = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = wallClock(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+};
+
+// ISO 8601 with the zone's offset, and a readable form with the weekday
+const describe = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = wallClock(date, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return {
+    timeZone,
+    iso: `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${formatOffset(offsetMinutes(date, timeZone))}`,
+    readable: date.toLocaleString("en-US", { timeZone, dateStyle: "full", timeStyle: "long" }),
+  };
+};
+
+// The instant at which clocks in `timeZone` show this local date and time
+const fromWallClock = (local, timeZone) => {
+  const match = local.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) throw new Error(`Expected a local time like "2025-03-14T15:30", got "${local}"`);
+  const [year, month, day, hour, minute, second] = match.slice(1).map((n) => Number(n || 0));
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset at the guess can differ from the offset at the answer across a DST change
+  let instant = guess - offsetMinutes(new Date(guess), timeZone) * 60000;
+  instant = guess - offsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+};
+
+export const currentTimeTool = {
+  declaration: {
+    name: "current_time",
+    description:
+      "Get the current date and time. Defaults to the user's time zone; pass an IANA time zone for another place.",
+    parameters: {
+      type: "object",
+      properties: {
+        timezone: { type: "string", description: "IANA time zone, e.g. \"Asia/Tokyo\"" },
+      },
+    },
+  },
+  run: ({ timezone }, { timeZone, now = new Date() }) =>
+    describe(now, assertTimeZone(timezone || timeZone || "UTC")),
+};
+
+export const convertTimeTool = {
+  declaration: {
+    name: "convert_time",
+    description:
+      "Convert a local date and time in one time zone to another time zone, accounting for daylight saving time.",
+    parameters: {
+      type: "object",
+      properties: {
+        time: { type: "string", description: "Local date and time, \"YYYY-MM-DDTHH:mm\"" },
+        from_timezone: { type: "string", description: "IANA time zone of `time`; the user's own if omitted" },
+        to_timezone: { type: "string", description: "IANA time zone to convert to" },
+      },
+      required: ["time", "to_timezone"],
+    },
+  },
+  run: ({ time, from_timezone: from, to_timezone: to }, { timeZone }) => {
+    const source = assertTimeZone(from || timeZone || "UTC");
+    const instant = fromWallClock(String(time).trim(), source);
+    return { from: describe(instant, source), to: describe(instant, assertTimeZone(to)) };
+  },
+};
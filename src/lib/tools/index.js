@@ -0,0 +1,82 @@
+// Built-in tools the model can call (function calling).
+//
+// Each tool has a `declaration` ({ name, description, parameters } with
+// parameters as JSON Schema), which providers translate for their API, and
+// either `run(args, context)` on the server or `runsOn: "client"` when only
+// the browser has the data. `context` is { timeZone } from the request.
+//
+// A call and its outcome are recorded as a step:
+//   { id, round, name, args, result } or { ..., error }
+// plus the provider's opaque `signature` for the call, if it sent one, which
+// has to be replayed with it.
+// Steps are streamed to the browser, stored on the assistant message, and sent
+// back with a request that continues after a client-run tool.
+
+import { MAX_TOOL_RESULT_CHARS } from "@/config/tools";
+import { calculatorTool } from "./calculator";
+import { conversationSearchTool } from "./conversationSearch";
+import { convertTimeTool, currentTimeTool } from "./datetime";
+import { convertUnitsTool } from "./units";
+
+const TOOLS = [calculatorTool, currentTimeTool, convertTimeTool, convertUnitsTool, conversationSearchTool];
+
+const byName = new Map(TOOLS.map((tool) => [tool.declaration.name, tool]));
+
+export const getToolDeclarations = () => TOOLS.map((tool) => tool.declaration);
+
+export const isClientTool = (name) => byName.get(name)?.runsOn === "client";
+
+// Keep oversized results from flooding the context
+const limitResult = (result) => {
+  const json = JSON.stringify(result ?? null);
+  return json.length > MAX_TOOL_RESULT_CHARS
+    ? { truncated: true, partial: json.slice(0, MAX_TOOL_RESULT_CHARS) }
+    : result;
+};
+
+/**
+ * Run a server-side call and return its step. Failures become an `error` the
+ * model can read and recover from instead of ending the reply.
+ */
+export const runTool = async ({ id, name, args, signature }, round, context) => {
+  const step = { id, round, name, args: args || {}, ...(signature && { signature }) };
+  const tool = byName.get(name);
+  if (!tool || tool.runsOn === "client") return { ...step, error: `Unknown tool "${name}"` };
+
+  try {
+    return { ...step, result: limitResult(await tool.run(step.args, context)) };
+  } catch (error) {
+    return { ...step, error: error.message || "Tool failed" };
+  }
+};
+
+/**
+ * Contents replaying tool steps after the user's message: for each round, the
+ * model's calls and then the results, as Gemini-style function parts.
+ */
+export const toolStepsToContents = (steps) => {
+  const rounds = new Map();
+  for (const step of steps) {
+    if (!rounds.has(step.round)) rounds.set(step.round, []);
+    rounds.get(step.round).push(step);
+  }
+
+  return [...rounds.keys()].sort((a, b) => a - b).flatMap((round) => {
+    const roundSteps = rounds.get(round);
+    return [
+      {
+        role: "model",
+        parts: roundSteps.map(({ id, name, args, signature }) => ({
+          functionCall: { id, name, args },
+          ...(signature && { thoughtSignature: signature }),
+        })),
+      },
+      {
+        role: "user",
+        parts: roundSteps.map(({ id, name, result, error }) => ({
+          functionResponse: { id, name, response: error ? { error } : { result: limitResult(result) } },
+        })),
+      },
+    ];
+  });
+};
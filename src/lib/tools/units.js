@@ -0,0 +1,112 @@
+// Unit conversion. Each unit is a factor to its dimension's base unit (metre,
+// kilogram, litre, second, m/s, m², byte, pascal, joule); temperatures are
+// converted through kelvin since they have offsets.
+
+const DIMENSIONS = {
+  length: {
+    m: 1, meter: 1, metre: 1, km: 1000, cm: 0.01, mm: 0.001, um: 1e-6, nm: 1e-9,
+    in: 0.0254, inch: 0.0254, inches: 0.0254, ft: 0.3048, foot: 0.3048, feet: 0.3048, yd: 0.9144, yard: 0.9144,
+    mi: 1609.344, mile: 1609.344, nmi: 1852, "nautical mile": 1852, ly: 9.4607e15, au: 1.495978707e11,
+  },
+  mass: {
+    kg: 1, g: 0.001, mg: 1e-6, ug: 1e-9, t: 1000, tonne: 1000,
+    lb: 0.45359237, lbs: 0.45359237, pound: 0.45359237, oz: 0.028349523125, ounce: 0.028349523125,
+    st: 6.35029318, stone: 6.35029318, "short ton": 907.18474, "long ton": 1016.0469088,
+  },
+  volume: {
+    l: 1, liter: 1, litre: 1, ml: 0.001, cl: 0.01, dl: 0.1, m3: 1000, cm3: 0.001,
+    gal: 3.785411784, gallon: 3.785411784, qt: 0.946352946, quart: 0.946352946,
+    pt: 0.473176473, pint: 0.473176473, cup: 0.2365882365, floz: 0.0295735295625, "fl oz": 0.0295735295625,
+    tbsp: 0.01478676478125, tsp: 0.00492892159375, "imperial gallon": 4.54609, "imperial pint": 0.56826125,
+  },
+  time: {
+    s: 1, sec: 1, second: 1, ms: 0.001, us: 1e-6, min: 60, minute: 60, h: 3600, hr: 3600, hour: 3600,
+    d: 86400, day: 86400, wk: 604800, week: 604800, yr: 31557600, year: 31557600,
+  },
+  speed: {
+    "m/s": 1, "km/h": 1 / 3.6, kph: 1 / 3.6, mph: 0.44704, "ft/s": 0.3048, knot: 0.514444, kn: 0.514444,
+  },
+  area: {
+    m2: 1, km2: 1e6, cm2: 1e-4, ha: 1e4, hectare: 1e4, acre: 4046.8564224,
+    ft2: 0.09290304, "sq ft": 0.09290304, in2: 0.00064516, mi2: 2589988.110336, "sq mi": 2589988.110336,
+  },
+  data: {
+    b: 1, byte: 1, bit: 0.125, kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12, pb: 1e15,
+    kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4,
+  },
+  pressure: {
+    pa: 1, kpa: 1e3, mpa: 1e6, bar: 1e5, mbar: 100, atm: 101325, psi: 6894.757293168, mmhg: 133.322387415,
+  },
+  energy: {
+    j: 1, kj: 1e3, mj: 1e6, cal: 4.184, kcal: 4184, wh: 3600, kwh: 3.6e6, btu: 1055.05585262, ev: 1.602176634e-19,
+  },
+};
+
+const TEMPERATURES = {
+  c: { toKelvin: (v) => v + 273.15, fromKelvin: (k) => k - 273.15 },
+  f: { toKelvin: (v) => ((v - 32) * 5) / 9 + 273.15, fromKelvin: (k) => ((k - 273.15) * 9) / 5 + 32 },
+  k: { toKelvin: (v) => v, fromKelvin: (k) => k },
+};
+
+const TEMPERATURE_ALIASES = {
+  c: "c", "°c": "c", celsius: "c", f: "f", "°f": "f", fahrenheit: "f", k: "k", kelvin: "k",
+};
+
+// Lowercase, singular, and "km^2" / "km²" as "km2"
+const normalize = (unit) => {
+  const name = String(unit).trim().toLowerCase().replace(/\^?2|²/, "2").replace(/\^?3|³/, "3");
+  return name.length > 3 && name.endsWith("s") && !name.endsWith("ss") ? name.slice(0, -1) : name;
+};
+
+const findUnit = (unit) => {
+  const name = normalize(unit);
+  for (const [dimension, units] of Object.entries(DIMENSIONS)) {
+    if (Object.hasOwn(units, name)) return { dimension, factor: units[name] };
+    if (Object.hasOwn(units, String(unit).trim().toLowerCase())) {
+      return { dimension, factor: units[String(unit).trim().toLowerCase()] };
+    }
+  }
+  return null;
+};
+
+/** Convert `value` between units of the same dimension; throws otherwise. */
+export const convertUnits = (value, from, to) => {
+  const fromTemperature = TEMPERATURE_ALIASES[normalize(from)];
+  const toTemperature = TEMPERATURE_ALIASES[normalize(to)];
+  if (fromTemperature || toTemperature) {
+    if (!fromTemperature || !toTemperature) throw new Error(`Can't convert ${from} to ${to}`);
+    return TEMPERATURES[toTemperature].fromKelvin(TEMPERATURES[fromTemperature].toKelvin(value));
+  }
+
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (!source) throw new Error(`Unknown unit "${from}"`);
+  if (!target) throw new Error(`Unknown unit "${to}"`);
+  if (source.dimension !== target.dimension) {
+    throw new Error(`Can't convert ${source.dimension} (${from}) to ${target.dimension} (${to})`);
+  }
+  return (value * source.factor) / target.factor;
+};
+
+export const convertUnitsTool = {
+  declaration: {
+    name: "convert_units",
+    description:
+      "Convert a quantity between units of length, mass, volume, time, speed, area, data size, " +
+      "pressure, energy or temperature (metric, imperial and US customary).",
+    parameters: {
+      type: "object",
+      properties: {
+        value: { type: "number" },
+        from: { type: "string", description: "Unit to convert from, e.g. \"mi\", \"kg\", \"°F\", \"GiB\"" },
+        to: { type: "string", description: "Unit to convert to" },
+      },
+      required: ["value", "from", "to"],
+    },
+  },
+  run: ({ value, from, to }) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error("value must be a number");
+    return { value: number, from, to, result: Number(convertUnits(number, from, to).toPrecision(12)) };
+  },
+};
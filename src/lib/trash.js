@@ -0,0 +1,20 @@
+// Soft delete. A deleted conversation keeps its data and gets `deletedAt`;
+// it is hidden everywhere except the trash until it is restored or purged.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (conv) => !!conv.deletedAt;
+
+export const moveToTrash = (conv, now = Date.now()) => ({ ...conv, deletedAt: now });
+
+export const restoreFromTrash = (conv) => ({ ...conv, deletedAt: null });
+
+// Whether a trashed conversation has outlived the retention period (0 keeps it forever)
+export const isExpired = (conv, retentionDays, now = Date.now()) =>
+  isTrashed(conv) && retentionDays > 0 && conv.deletedAt <= now - retentionDays * DAY_MS;
+
+// Days left before a trashed conversation is purged, or null if it never is
+export const daysUntilPurge = (conv, retentionDays, now = Date.now()) =>
+  retentionDays > 0
+    ? Math.max(0, Math.ceil((conv.deletedAt + retentionDays * DAY_MS - now) / DAY_MS))
+    : null;
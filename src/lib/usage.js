@@ -0,0 +1,110 @@
+// Token usage and estimated cost, read from the `usage` the chat route stores
+// on each assistant message ({ promptTokens, outputTokens, totalTokens }).
+// Conversations in the trash still count; deleted-for-good ones don't.
+
+import { MODEL_PRICES } from '@/config/pricing';
+
+const EMPTY_USAGE = { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+// Sum two usage records, e.g. a reply and its continuation
+export const addUsage = (a, b) => {
+  if (!a || !b) return a || b;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    outputTokens: a.outputTokens + b.outputTokens,
+    totalTokens: a.totalTokens + b.totalTokens,
+  };
+};
+
+// Estimated cost in dollars, or null when the model has no price
+export const estimateCost = (usage, modelId) => {
+  const price = MODEL_PRICES[modelId];
+  if (!price || !usage) return null;
+  return (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1e6;
+};
+
+// Local calendar day, e.g. "2026-10-19"
+const toDay = (time) => {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * One entry per assistant message with usage, across every branch (replies
+ * you've regenerated away from were still paid for).
+ */
+export const collectUsage = (conversations) =>
+  conversations.flatMap(conv => conv.messages
+    .filter(msg => msg.role === 'assistant' && msg.usage)
+    .map(msg => ({
+      conversationId: conv.id,
+      title: conv.title,
+      model: msg.model || 'unknown',
+      time: Date.parse(msg.timestamp) || 0,
+      day: toDay(Date.parse(msg.timestamp) || 0),
+      ...msg.usage,
+      cost: estimateCost(msg.usage, msg.model),
+    })));
+
+const GROUPINGS = {
+  conversation: { key: e => e.conversationId, label: e => e.title },
+  model: { key: e => e.model, label: e => e.model },
+  day: { key: e => e.day, label: e => e.day },
+};
+
+/**
+ * Totals per conversation, model or day. Days are newest first, the rest
+ * biggest first. `cost` is null when none of a row's usage has a price.
+ */
+export const summarizeUsage = (entries, groupBy) => {
+  const { key, label } = GROUPINGS[groupBy];
+  const rows = new Map();
+  for (const entry of entries) {
+    const id = key(entry);
+    const row = rows.get(id) || { id, label: label(entry), ...EMPTY_USAGE, cost: null, replies: 0 };
+    rows.set(id, {
+      ...row,
+      ...addUsage(row, entry),
+      cost: entry.cost === null ? row.cost : (row.cost || 0) + entry.cost,
+      replies: row.replies + 1,
+    });
+  }
+  return [...rows.values()].sort(groupBy === 'day'
+    ? (a, b) => b.id.localeCompare(a.id)
+    : (a, b) => b.totalTokens - a.totalTokens);
+};
+
+export const totalUsage = (entries) => ({
+  ...entries.reduce(addUsage, EMPTY_USAGE),
+  cost: entries.some(e => e.cost !== null) ? entries.reduce((sum, e) => sum + (e.cost || 0), 0) : null,
+});
+
+const periodStart = (period, now) => {
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  if (period === 'month') date.setDate(1);
+  return date.getTime();
+};
+
+/**
+ * Spending against a soft budget `{ limit, unit: 'usd' | 'tokens', period:
+ * 'day' | 'month' }` for the current day or calendar month. Returns null
+ * without a budget.
+ */
+export const getBudgetStatus = (entries, budget, now = Date.now()) => {
+  if (!budget?.limit) return null;
+  const since = periodStart(budget.period, now);
+  const spent = entries
+    .filter(e => e.time >= since)
+    .reduce((sum, e) => sum + (budget.unit === 'usd' ? e.cost || 0 : e.totalTokens), 0);
+  return { ...budget, spent, fraction: spent / budget.limit };
+};
+
+export const formatTokens = (count) => count.toLocaleString();
+
+export const formatCost = (cost) =>
+  cost === null ? '—' : `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+export const formatBudgetAmount = (amount, unit) =>
+  unit === 'usd' ? formatCost(amount) : `${formatTokens(Math.round(amount))} tokens`;